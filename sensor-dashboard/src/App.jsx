@@ -1,15 +1,11 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { 
   Box, 
   Container, 
   Typography, 
-  Paper, 
   Grid,
   IconButton,
-  Card,
-  CardContent,
   Button,
-  Divider,
   useTheme,
   useMediaQuery,
   ThemeProvider,
@@ -17,18 +13,33 @@ import {
   CssBaseline,
   CircularProgress,
   Alert,
-  Snackbar
+  Snackbar,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ListSubheader,
+  Chip,
+  Menu,
+  Autocomplete,
+  TextField
 } from '@mui/material'
 import {
   Speed as SpeedIcon,
   Vibration as VibrationIcon,
   Straighten as StraightenIcon,
   Timeline as TimelineIcon,
+  Sensors as SensorsIcon,
   Download as DownloadIcon,
   Refresh as RefreshIcon,
-  Dashboard as DashboardIcon
+  Dashboard as DashboardIcon,
+  Tune as TuneIcon,
+  Logout as LogoutIcon,
+  History as HistoryIcon,
+  Assessment as AssessmentIcon,
+  FiberManualRecord as StatusDotIcon,
+  BookmarkAdd as BookmarkAddIcon
 } from '@mui/icons-material'
-import { Line } from 'react-chartjs-2'
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -40,6 +51,23 @@ import {
   Legend
 } from 'chart.js'
 import axios from 'axios'
+import AlertsPanel from './components/AlertsPanel'
+import ThresholdSettingsDialog from './components/ThresholdSettingsDialog'
+import LoginPage from './components/LoginPage'
+import RangePicker from './components/RangePicker'
+import PlaybackPanel from './components/PlaybackPanel'
+import SpectrumPanel from './components/SpectrumPanel'
+import CorrelationPanel from './components/CorrelationPanel'
+import AnnotationDialog from './components/AnnotationDialog'
+import SensorCard from './components/SensorCard'
+import SensorChart from './components/SensorChart'
+import { resolveRange } from './ranges'
+import { TIMEZONES, resolveTimezone, formatDateTime, timeScale, zoneLabel } from './time'
+import { ANOMALY_COLOR, violationsFor, describeViolation } from './anomalies'
+import { annotationAt, categoryStyle } from './annotationMarkers'
+import { UNIT_SYSTEMS, displayUnit, loadUnitSystem, saveUnitSystem } from './units'
+import { DEVICE_STATUSES, describeStatus, statusDotColor, summarizeStatuses } from './deviceStatus'
+import { loadSession, applySession, withToken, hasRole } from './session'
 import './App.css'
 
 // Register ChartJS components
@@ -122,111 +150,366 @@ const lightTheme = createTheme({
   }
 });
 
-const sensorUnits = {
-  strain: 'μɛ',
-  vibration: 'mm/s',
-  displacement: 'mm',
-  acceleration: 'm/s²'
+const API_BASE_URL = 'http://localhost:3000/api';
+
+// Readings older than this are flagged as stale
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+// Report downloads offered per structure
+const REPORT_OPTIONS = [
+  { period: 'daily', format: 'pdf', label: 'Daily report (PDF)' },
+  { period: 'daily', format: 'html', label: 'Daily report (HTML)' },
+  { period: 'weekly', format: 'pdf', label: 'Weekly report (PDF)' },
+  { period: 'weekly', format: 'html', label: 'Weekly report (HTML)' }
+];
+
+// Icons for the built-in sensors; channels added to the catalog get a
+// generic one
+const SENSOR_ICONS = {
+  strain: SpeedIcon,
+  vibration: VibrationIcon,
+  displacement: StraightenIcon,
+  acceleration: TimelineIcon
 };
 
-function App() {
+function Dashboard({ session, onLogout, onUserChange }) {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const [sensorData, setSensorData] = useState([])
   const [latestData, setLatestData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null);
-  const [alerts, setAlerts] = useState({
-    strain: { threshold: 1000, triggered: false },
-    vibration: { threshold: 500, triggered: false },
-    displacement: { threshold: 100, triggered: false },
-    acceleration: { threshold: 200, triggered: false }
-  });
-
-  const getISTDateTime = () => {
-    return new Date().toLocaleString('en-US', {
-      timeZone: 'Asia/Kolkata',
-      hour12: false,
-    });
+  const [devices, setDevices] = useState([]);
+  const [sensors, setSensors] = useState([]);
+  const [structures, setStructures] = useState([]);
+  const [deviceStatuses, setDeviceStatuses] = useState([]);
+  const [selectedDevice, setSelectedDevice] = useState('');
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [downloadMenuAnchor, setDownloadMenuAnchor] = useState(null);
+  const [reportMenuAnchor, setReportMenuAnchor] = useState(null);
+  const [range, setRange] = useState({ preset: 'live', from: '', to: '' });
+  const [trend, setTrend] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [serverOffline, setServerOffline] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const [unitSystem, setUnitSystem] = useState(loadUnitSystem);
+  const [playbackOpen, setPlaybackOpen] = useState(false);
+  const [playbackFrame, setPlaybackFrame] = useState(null);
+  const [annotations, setAnnotations] = useState([]);
+  const [annotationDraft, setAnnotationDraft] = useState(null);
+  const seenAlertIds = useRef(new Set());
+
+  // Times are shown in the user's own zone, else in that of the structure
+  // being viewed: the selected device's, or the only one there is
+  const viewedStructures = selectedDevice
+    ? devices.filter(device => device.id === selectedDevice).map(device => device.structure)
+    : structures.map(structure => structure.name);
+  const viewedStructure = viewedStructures.length === 1 ? viewedStructures[0] : null;
+  const timezone = resolveTimezone(session.user, structures.find(structure => structure.name === viewedStructure));
+  const canAnnotate = hasRole(session.user, 'operator');
+
+  // Thresholds are evaluated on the server; the dashboard only shows the
+  // open alert events and flags any it has not seen before
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/alerts`, {
+        params: { status: 'open', deviceId: selectedDevice || undefined }
+      });
+      const openAlerts = response.data.data;
+      const newAlerts = openAlerts.filter(alert => !seenAlertIds.current.has(alert.id));
+
+      newAlerts.forEach(alert => seenAlertIds.current.add(alert.id));
+      setAlerts(openAlerts);
+      if (newAlerts.some(alert => alert.status === 'active')) {
+        setError('Warning: Some sensor values have exceeded their thresholds!');
+      }
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+    }
+  }, [selectedDevice]);
+
+  const handleAcknowledge = async (alertId) => {
+    try {
+      await axios.post(`${API_BASE_URL}/alerts/${alertId}/acknowledge`);
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error acknowledging alert:', error);
+    }
   };
-  
-  const generateRandomData = useCallback(() => {
-    const timestamp = getISTDateTime();
-    
-    // Normal operating ranges for each sensor
-    return {
-      strain: Math.random() * (800 - 400) + 400,      // Normal range: 400-800 units
-      vibration: Math.random() * (300 - 100) + 100,   // Normal range: 100-300 units
-      displacement: Math.random() * (60 - 20) + 20,    // Normal range: 20-60 units
-      acceleration: Math.random() * (150 - 50) + 50,   // Normal range: 50-150 units
-      timestamp,
-      id: Date.now().toString()
-    };
+
+  // Most severe open alert for a sensor, if any
+  const sensorAlert = (sensor) => {
+    const sensorAlerts = alerts.filter(alert => alert.sensor === sensor);
+    return sensorAlerts.find(alert => alert.severity === 'critical') || sensorAlerts[0];
+  };
+
+  const fetchDevices = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/devices`);
+      setDevices(response.data.data);
+    } catch (error) {
+      console.error('Error fetching devices:', error);
+    }
   }, []);
 
-  const checkAlerts = useCallback((data) => {
-    const newAlerts = {};
-    let hasAlert = false;
+  const fetchStructures = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/structures`);
+      setStructures(response.data.data);
+    } catch (error) {
+      console.error('Error fetching structures:', error);
+    }
+  }, []);
 
-    Object.keys(alerts).forEach(sensor => {
-      const triggered = data[sensor] > alerts[sensor].threshold;
-      newAlerts[sensor] = {
-        ...alerts[sensor],
-        triggered
-      };
-      if (triggered) hasAlert = true;
-    });
+  const fetchSensors = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/sensors`);
+      setSensors(response.data.data);
+    } catch (error) {
+      console.error('Error fetching sensors:', error);
+    }
+  }, []);
 
-    setAlerts(newAlerts);
-    if (hasAlert) {
-      setError('Warning: Some sensor values have exceeded their thresholds!');
+  const fetchDeviceStatuses = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/devices/status`);
+      setDeviceStatuses(response.data.data);
+    } catch (error) {
+      console.error('Error fetching device status:', error);
     }
-  }, [alerts]);
+  }, []);
 
   const fetchData = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await axios.get('http://localhost:3000/api/sensor-data?limit=20');
-      setSensorData(response.data.data.reverse());
-      if (response.data.data.length > 0) {
-        setLatestData(response.data.data[0]);
-        checkAlerts(response.data.data[0]);
-      }
+      const response = await axios.get(`${API_BASE_URL}/sensor-data`, {
+        params: { limit: 20, deviceId: selectedDevice || undefined }
+      });
+      const readings = response.data.data;
+      setSensorData([...readings].reverse());
+      setLatestData(readings[0] || null);
+      setServerOffline(false);
+      fetchAlerts();
     } catch (error) {
       console.error('Error fetching data:', error);
-      // Generate random data when API fails
-      const randomData = generateRandomData();
-      setSensorData(prev => [randomData, ...prev.slice(0, 19)]);
-      setLatestData(randomData);
-      checkAlerts(randomData);
+      // Keep showing what was last received, flagged as offline
+      setServerOffline(!error.response);
     } finally {
       setLoading(false);
     }
-  }, [checkAlerts, generateRandomData]);
+  }, [fetchAlerts, selectedDevice]);
 
+  useEffect(() => {
+    fetchDevices()
+  }, [fetchDevices])
+
+  useEffect(() => {
+    fetchSensors()
+  }, [fetchSensors])
+
+  useEffect(() => {
+    fetchStructures()
+  }, [fetchStructures])
+
+  useEffect(() => {
+    fetchDeviceStatuses()
+    const interval = setInterval(fetchDeviceStatuses, 30000)
+    return () => clearInterval(interval)
+  }, [fetchDeviceStatuses])
+
+  // Live stream of readings pushed by the server as they are accepted
+  useEffect(() => {
+    const query = selectedDevice ? `?deviceId=${encodeURIComponent(selectedDevice)}` : ''
+    const source = new EventSource(withToken(`${API_BASE_URL}/sensor-data/stream${query}`, session))
+
+    source.onopen = () => {
+      setLiveConnected(true)
+      setServerOffline(false)
+    }
+    // EventSource reconnects by itself; poll until it does
+    source.onerror = () => setLiveConnected(false)
+    source.addEventListener('reading', (event) => {
+      const reading = JSON.parse(event.data)
+      // Buffered batch uploads can push readings older than those shown
+      setSensorData(prev => [...prev, reading]
+        .sort((a, b) => a.receivedAt - b.receivedAt)
+        .slice(-20))
+      setLatestData(prev => (!prev || reading.receivedAt >= prev.receivedAt ? reading : prev))
+    })
+    source.addEventListener('alert', () => fetchAlerts())
+
+    return () => {
+      source.close()
+      setLiveConnected(false)
+    }
+  }, [selectedDevice, fetchAlerts, session])
+
+  // Downsampled history for the charts whenever a range other than live is
+  // picked; rolling presets refresh every minute
+  const fetchTrend = useCallback(async () => {
+    const selection = resolveRange(range, timezone)
+    if (!selection) {
+      setTrend(null)
+      return
+    }
+
+    try {
+      const response = await axios.get(`${API_BASE_URL}/sensor-data/aggregate`, {
+        params: {
+          from: selection.from,
+          to: selection.to,
+          interval: selection.interval,
+          deviceId: selectedDevice || undefined
+        }
+      })
+      setTrend({ ...selection, buckets: response.data.data })
+    } catch (error) {
+      console.error('Error fetching trend data:', error)
+      setError(error.response?.data?.message || 'Could not load historical data')
+    }
+  }, [range, selectedDevice, timezone])
+
+  // Events on the viewed structure (every structure when several are in
+  // view) across the chart window, or the last day in live mode
+  const fetchAnnotations = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/annotations`, {
+        params: {
+          structure: viewedStructure || undefined,
+          from: trend ? trend.from : Date.now() - 24 * 60 * 60 * 1000,
+          to: trend?.to
+        }
+      })
+      setAnnotations(response.data.data)
+    } catch (error) {
+      console.error('Error fetching annotations:', error)
+    }
+  }, [viewedStructure, trend])
+
+  useEffect(() => {
+    fetchAnnotations()
+    const interval = setInterval(fetchAnnotations, 60000)
+    return () => clearInterval(interval)
+  }, [fetchAnnotations])
+
+  useEffect(() => {
+    fetchTrend()
+    if (range.preset === 'live' || range.preset === 'custom') return undefined
+    const interval = setInterval(fetchTrend, 60000)
+    return () => clearInterval(interval)
+  }, [fetchTrend, range.preset])
+
+  // Fetch once to fill the charts, then poll only while the stream is down
   useEffect(() => {
     fetchData()
+    if (liveConnected) return undefined
     const interval = setInterval(fetchData, 5000) // Refresh every 5 seconds
     return () => clearInterval(interval)
-  }, [fetchData])
+  }, [fetchData, liveConnected])
 
-  const handleDownload = async () => {
+  // Re-evaluate staleness even when nothing new arrives
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 15000)
+    return () => clearInterval(interval)
+  }, [])
+
+  // Playback replaces the live readings on the cards and charts
+  const shownData = playbackFrame ? playbackFrame.readings : sensorData
+  const shownLatest = playbackFrame ? playbackFrame.current : latestData
+
+  const stale = !!latestData && now - latestData.receivedAt > STALE_AFTER_MS
+  const showingSimulated = sensorData.some(reading => reading.simulated)
+  const statusFor = (deviceId) => deviceStatuses.find(status => status.deviceId === deviceId)
+  const selectedStatus = selectedDevice ? statusFor(selectedDevice) : null
+
+  const handleDownload = async (format) => {
+    setDownloadMenuAnchor(null)
     try {
-      window.open('http://localhost:3000/api/sensor-data/download', '_blank')
+      const params = new URLSearchParams({ format })
+      if (selectedDevice) params.set('deviceId', selectedDevice)
+      window.open(withToken(`${API_BASE_URL}/sensor-data/download?${params}`, session), '_blank')
     } catch (error) {
       console.error('Error downloading data:', error)
     }
   }
 
+  // Inspection report on a structure, rendered by the server
+  const handleReport = (structure, period, format) => {
+    setReportMenuAnchor(null)
+    const params = new URLSearchParams({ structure, period, format })
+    window.open(withToken(`${API_BASE_URL}/reports?${params}`, session), '_blank')
+  }
+
   const handleCloseError = () => {
     setError(null);
   };
 
+  const handleDeviceChange = (event) => {
+    setSensorData([]);
+    setLatestData(null);
+    setSelectedDevice(event.target.value);
+  };
+
+  // Devices grouped under their structure for the selector
+  const devicesByStructure = devices.reduce((groups, device) => {
+    (groups[device.structure] = groups[device.structure] || []).push(device);
+    return groups;
+  }, {});
+
+  // Reports cover the selected device's structure, or any structure
+  const reportStructures = selectedDevice
+    ? devices.filter(device => device.id === selectedDevice).map(device => device.structure)
+    : Object.keys(devicesByStructure);
+
+  // Display unit and conversion for a sensor in the chosen unit system
+  const unitFor = (sensor) => displayUnit(unitSystem, sensors.find(item => item.id === sensor));
+  const toDisplay = (sensor, value) => (value === null || value === undefined
+    ? null
+    : value * unitFor(sensor).factor);
+
+  const handleUnitSystemChange = (event) => {
+    saveUnitSystem(event.target.value);
+    setUnitSystem(event.target.value);
+  };
+
+  // The zone is saved with the user's account; null follows the structure
+  const handleTimezoneChange = async (event, value) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/auth/me`, { timezone: value || null });
+      onUserChange(response.data.data);
+    } catch (error) {
+      console.error('Error saving time zone:', error);
+      setError(error.response?.data?.message || 'Could not save the time zone');
+    }
+  };
+
+  // A click on an event marker opens it; elsewhere operators start a new
+  // event at the clicked time
+  const handleChartClick = (event, elements, chart) => {
+    const { left, right, top, bottom } = chart.chartArea;
+    if (event.x < left || event.x > right || event.y < top || event.y > bottom) return;
+
+    const existing = annotationAt(chart, event.x, annotations);
+    if (existing) {
+      setAnnotationDraft(existing);
+    } else if (canAnnotate && structures.length > 0) {
+      const time = chart.scales.x.getValueForPixel(event.x);
+      setAnnotationDraft({
+        structure: viewedStructure || structures[0].name,
+        start: new Date(time).toISOString(),
+        end: null
+      });
+    }
+  };
+
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
+    onClick: handleChartClick,
     plugins: {
       legend: { display: false },
+      annotationMarkers: { annotations },
       title: {
         display: true,
         font: {
@@ -253,14 +536,12 @@ function App() {
         }
       },
       x: {
-        ticks: {
+        ...timeScale(timezone, {
           font: {
             size: 10,
           },
-          maxRotation: 45,
-          minRotation: 45,
           color: '#718096'
-        },
+        }),
         grid: {
           display: false
         }
@@ -270,17 +551,45 @@ function App() {
   }
 
   const getChartData = (label, data, color) => {
+    if (trend && !playbackFrame) {
+      const band = {
+        borderColor: `${color}60`,
+        borderDash: [4, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false
+      };
+
+      return {
+        datasets: [
+          {
+            label: `${label} (mean)`,
+            data: trend.buckets.map(bucket => ({ x: Date.parse(bucket.start), y: toDisplay(data, bucket[data]?.mean) })),
+            borderColor: color,
+            backgroundColor: `${color}15`,
+            tension: 0.3,
+            pointRadius: trend.buckets.map(bucket => (bucket[data]?.anomalies ? 5 : 2)),
+            pointBackgroundColor: trend.buckets.map(bucket => (bucket[data]?.anomalies ? ANOMALY_COLOR : color)),
+            pointHoverRadius: 4,
+            borderWidth: 2
+          },
+          { ...band, label: `${label} (max)`, data: trend.buckets.map(bucket => ({ x: Date.parse(bucket.start), y: toDisplay(data, bucket[data]?.max) })) },
+          { ...band, label: `${label} (min)`, data: trend.buckets.map(bucket => ({ x: Date.parse(bucket.start), y: toDisplay(data, bucket[data]?.min) })) }
+        ]
+      }
+    }
+
     return {
-      labels: sensorData.map(d => d.timestamp.split(' ')[1]),
       datasets: [
         {
           label,
-          data: sensorData.map(d => d[data]),
+          data: shownData.map(d => ({ x: d.receivedAt, y: toDisplay(data, d[data]) })),
           borderColor: color,
           backgroundColor: `${color}15`,
           tension: 0.3,
           fill: true,
-          pointRadius: 3,
+          pointRadius: shownData.map(d => (violationsFor(d, data).length ? 6 : 3)),
+          pointBackgroundColor: shownData.map(d => (violationsFor(d, data).length ? ANOMALY_COLOR : color)),
           pointHoverRadius: 5,
           borderWidth: 2
         }
@@ -288,141 +597,24 @@ function App() {
     }
   }
 
-  const SensorCard = ({ title, value, icon, color }) => (
-    <Card sx={{ 
-      height: '100%', 
-      borderTop: `4px solid ${color}`,
-      borderRadius: 3,
-      transition: 'all 0.3s ease-in-out',
-      '&:hover': {
-        transform: 'translateY(-8px)',
-        boxShadow: `0 12px 32px ${color}20`
-      },
-      position: 'relative',
-      bgcolor: alerts[title.toLowerCase()]?.triggered ? 'error.light' : 'background.paper',
-      overflow: 'visible'
-    }}>
-      <CardContent>
-        <Box display="flex" alignItems="center" mb={1}>
-          <Box 
-            sx={{ 
-              bgcolor: `${color}15`, 
-              p: 1.5,
-              borderRadius: 2,
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-              mr: 2,
-              boxShadow: `0 4px 12px ${color}30`
-            }}
-          >
-            {icon}
-          </Box>
-          <Typography variant="h6" color="text.secondary" sx={{ fontWeight: 500 }}>
-            {title}
-          </Typography>
-        </Box>
-        <Divider sx={{ my: 2, opacity: 0.1 }} />
-        <Box display="flex" alignItems="baseline">
-          <Typography 
-            variant="h4" 
-            fontWeight="bold" 
-            color={alerts[title.toLowerCase()]?.triggered ? 'error.main' : 'text.primary'}
-            sx={{ letterSpacing: '-0.02em' }}
-          >
-            {value?.toFixed(2) || '---'}
-          </Typography>
-          {value && (
-            <Typography variant="body2" ml={1} color="text.secondary" sx={{ opacity: 0.8 }}>
-              {sensorUnits[title.toLowerCase()]}
-            </Typography>
-          )}
-        </Box>
-        {alerts[title.toLowerCase()]?.triggered && (
-          <Typography 
-            variant="caption" 
-            color="error" 
-            sx={{ 
-              display: 'block', 
-              mt: 1,
-              p: 1,
-              bgcolor: 'error.light',
-              borderRadius: 1,
-              fontWeight: 500
-            }}
-          >
-            ⚠️ Exceeds threshold of {alerts[title.toLowerCase()].threshold}
-          </Typography>
-        )}
-      </CardContent>
-    </Card>
-  )
+  // Tooltip lines explaining which anomaly baselines a point violated
+  const anomalyNotes = (dataKey, index) => {
+    if (trend && !playbackFrame) {
+      const count = trend.buckets[index]?.[dataKey]?.anomalies
+      return count ? [`${count} anomalous reading${count === 1 ? '' : 's'} in this interval`] : []
+    }
+    const reading = shownData[index]
+    return reading
+      ? violationsFor(reading, dataKey).map(violation => describeViolation(violation, unitFor(dataKey)))
+      : []
+  }
 
-  const SensorChart = ({ title, dataKey, color }) => (
-    <Paper sx={{ 
-      p: 3, 
-      height: 280,
-      borderRadius: 3,
-      overflow: 'hidden',
-      position: 'relative',
-      transition: 'transform 0.3s ease-in-out',
-      '&:hover': {
-        transform: 'translateY(-4px)',
-        boxShadow: `0 12px 32px ${color}10`
-      }
-    }}>
-      <Typography 
-        variant="h6" 
-        fontWeight="medium" 
-        mb={2} 
-        color="text.primary"
-        sx={{
-          display: 'flex',
-          alignItems: 'center',
-          '&::before': {
-            content: '""',
-            display: 'block',
-            width: 12,
-            height: 12,
-            borderRadius: '50%',
-            bgcolor: color,
-            boxShadow: `0 0 12px ${color}80`,
-            mr: 1.5
-          }
-        }}
-      >
-        {title}
-      </Typography>
-      <Box sx={{ height: 210 }}>
-        {loading && sensorData.length === 0 ? (
-          <Box 
-            sx={{ 
-              height: '100%', 
-              display: 'flex', 
-              alignItems: 'center',
-              justifyContent: 'center' 
-            }}
-          >
-            <CircularProgress size={40} />
-          </Box>
-        ) : (
-          <Line 
-            options={{
-              ...chartOptions,
-              plugins: {
-                ...chartOptions.plugins,
-                title: {
-                  ...chartOptions.plugins.title,
-                  text: `${title} Readings (Last 20 measurements)`
-                }
-              }
-            }} 
-            data={getChartData(title, dataKey, color)} 
-          />
-        )}
-      </Box>
-    </Paper>
-  )
+  const chartTitle = (title, dataKey) => {
+    const { unit } = unitFor(dataKey)
+    if (playbackFrame) return `${title} Readings in ${unit} (Playback)`
+    if (trend) return `${title} in ${unit} (${trend.label}, ${trend.interval} min/mean/max)`
+    return `${title} Readings in ${unit} (Last 20 measurements)`
+  }
 
   return (
     <ThemeProvider theme={lightTheme}>
@@ -465,6 +657,54 @@ function App() {
                 </Box>
               </Box>
               <Box display="flex" alignItems="center">
+                <FormControl size="small" sx={{ mr: 1.5, minWidth: 220 }}>
+                  <InputLabel id="device-select-label">Device</InputLabel>
+                  <Select
+                    labelId="device-select-label"
+                    value={selectedDevice}
+                    label="Device"
+                    onChange={handleDeviceChange}
+                    sx={{ bgcolor: 'background.paper' }}
+                  >
+                    <MenuItem value="">All devices</MenuItem>
+                    {Object.entries(devicesByStructure).flatMap(([structure, structureDevices]) => [
+                      <ListSubheader key={`structure-${structure}`}>{structure}</ListSubheader>,
+                      ...structureDevices.map(device => (
+                        <MenuItem key={device.id} value={device.id} title={describeStatus(statusFor(device.id), timezone)}>
+                          <StatusDotIcon
+                            color={statusDotColor(statusFor(device.id))}
+                            sx={{ fontSize: 12, mr: 1 }}
+                          />
+                          {device.name}
+                        </MenuItem>
+                      ))
+                    ])}
+                  </Select>
+                </FormControl>
+                <FormControl size="small" sx={{ mr: 1.5, minWidth: 170 }}>
+                  <InputLabel id="units-select-label">Units</InputLabel>
+                  <Select
+                    labelId="units-select-label"
+                    value={unitSystem}
+                    label="Units"
+                    onChange={handleUnitSystemChange}
+                    sx={{ bgcolor: 'background.paper' }}
+                  >
+                    {Object.entries(UNIT_SYSTEMS).map(([key, system]) => (
+                      <MenuItem key={key} value={key}>{system.label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Autocomplete
+                  size="small"
+                  options={TIMEZONES}
+                  value={session.user.timezone || null}
+                  onChange={handleTimezoneChange}
+                  sx={{ mr: 1.5, minWidth: 220, bgcolor: 'background.paper' }}
+                  renderInput={(params) => (
+                    <TextField {...params} label="Time zone" placeholder={`Structure (${timezone})`} />
+                  )}
+                />
                 <IconButton 
                   onClick={fetchData} 
                   sx={{ 
@@ -482,10 +722,25 @@ function App() {
                     <RefreshIcon />
                   )}
                 </IconButton>
+                {hasRole(session.user, 'operator') && (
+                  <IconButton 
+                    onClick={() => setSettingsOpen(true)} 
+                    title="Alert thresholds"
+                    sx={{ 
+                      mr: 1.5,
+                      bgcolor: 'rgba(25, 118, 210, 0.08)',
+                      '&:hover': { bgcolor: 'rgba(25, 118, 210, 0.15)' },
+                      width: 42,
+                      height: 42
+                    }}
+                  >
+                    <TuneIcon />
+                  </IconButton>
+                )}
                 <Button 
                   variant="contained" 
                   startIcon={<DownloadIcon />}
-                  onClick={handleDownload}
+                  onClick={(event) => setDownloadMenuAnchor(event.currentTarget)}
                   sx={{
                     px: 2.5,
                     py: 1,
@@ -495,42 +750,89 @@ function App() {
                 >
                   Download Data
                 </Button>
+                <Menu
+                  anchorEl={downloadMenuAnchor}
+                  open={!!downloadMenuAnchor}
+                  onClose={() => setDownloadMenuAnchor(null)}
+                >
+                  <MenuItem onClick={() => handleDownload('xlsx')}>Excel (.xlsx)</MenuItem>
+                  <MenuItem onClick={() => handleDownload('csv')}>CSV (.csv)</MenuItem>
+                  <MenuItem onClick={() => handleDownload('json')}>JSON (.json)</MenuItem>
+                </Menu>
+                <Button
+                  variant="outlined"
+                  startIcon={<AssessmentIcon />}
+                  onClick={(event) => setReportMenuAnchor(event.currentTarget)}
+                  sx={{ ml: 1.5, py: 1 }}
+                >
+                  Report
+                </Button>
+                <Menu
+                  anchorEl={reportMenuAnchor}
+                  open={!!reportMenuAnchor}
+                  onClose={() => setReportMenuAnchor(null)}
+                >
+                  {reportStructures.flatMap(structure => [
+                    <ListSubheader key={`report-${structure}`}>{structure}</ListSubheader>,
+                    ...REPORT_OPTIONS.map(option => (
+                      <MenuItem
+                        key={`${structure}-${option.period}-${option.format}`}
+                        onClick={() => handleReport(structure, option.period, option.format)}
+                      >
+                        {option.label}
+                      </MenuItem>
+                    ))
+                  ])}
+                </Menu>
+                <Chip
+                  label={`${session.user.username} · ${session.user.role}`}
+                  size="small"
+                  sx={{ ml: 1.5 }}
+                />
+                <IconButton onClick={onLogout} title="Sign out" sx={{ ml: 0.5 }}>
+                  <LogoutIcon />
+                </IconButton>
               </Box>
             </Box>
 
+            {serverOffline && (
+              <Alert severity="error" sx={{ mb: 3 }}>
+                Server offline: the API cannot be reached.{' '}
+                {latestData
+                  ? `Showing the last readings received, from ${formatDateTime(latestData.receivedAt, timezone)}.`
+                  : 'No readings to show.'}{' '}
+                Retrying every 5 seconds.
+              </Alert>
+            )}
+            {!serverOffline && stale && (
+              <Alert severity="warning" sx={{ mb: 3 }}>
+                Stale data: no new readings since {formatDateTime(latestData.receivedAt, timezone)}.
+              </Alert>
+            )}
+
+            <AlertsPanel
+              alerts={alerts}
+              onAcknowledge={handleAcknowledge}
+              canAcknowledge={hasRole(session.user, 'operator')}
+              timeZone={timezone}
+            />
+
             <Grid container spacing={3} mb={4}>
-              <Grid item xs={12} sm={6} md={3}>
-                <SensorCard
-                  title="Strain"
-                  value={latestData?.strain}
-                  icon={<SpeedIcon sx={{ color: '#4CAF50' }} />}
-                  color="#4CAF50"
-                />
-              </Grid>
-              <Grid item xs={12} sm={6} md={3}>
-                <SensorCard
-                  title="Vibration"
-                  value={latestData?.vibration}
-                  icon={<VibrationIcon sx={{ color: '#2196F3' }} />}
-                  color="#2196F3"
-                />
-              </Grid>
-              <Grid item xs={12} sm={6} md={3}>
-                <SensorCard
-                  title="Displacement"
-                  value={latestData?.displacement}
-                  icon={<StraightenIcon sx={{ color: '#FFC107' }} />}
-                  color="#FFC107"
-                />
-              </Grid>
-              <Grid item xs={12} sm={6} md={3}>
-                <SensorCard
-                  title="Acceleration"
-                  value={latestData?.acceleration}
-                  icon={<TimelineIcon sx={{ color: '#F44336' }} />}
-                  color="#F44336"
-                />
-              </Grid>
+              {sensors.map(sensor => {
+                const Icon = SENSOR_ICONS[sensor.id] || SensorsIcon;
+                return (
+                  <Grid item xs={12} sm={6} md={3} key={sensor.id}>
+                    <SensorCard
+                      title={sensor.name}
+                      value={toDisplay(sensor.id, shownLatest?.[sensor.id])}
+                      unit={unitFor(sensor.id).unit}
+                      icon={<Icon sx={{ color: sensor.color }} />}
+                      color={sensor.color}
+                      alert={sensorAlert(sensor.id)}
+                    />
+                  </Grid>
+                );
+              })}
             </Grid>
 
             <Box sx={{ 
@@ -542,44 +844,164 @@ function App() {
               <Typography variant="h5" color="text.primary">
                 Sensor Data Trends
               </Typography>
-              <Typography variant="body2" color="text.secondary">
-                Updated {latestData?.timestamp ? `on ${latestData.timestamp}` : 'just now'}
-              </Typography>
+              <Box display="flex" alignItems="center" gap={1}>
+                {showingSimulated && (
+                  <Chip
+                    size="small"
+                    label="Simulated data"
+                    color="warning"
+                    title="These readings come from the server's simulator, not from sensors"
+                  />
+                )}
+                {selectedStatus && (
+                  <Chip
+                    size="small"
+                    label={`Device ${DEVICE_STATUSES[selectedStatus.status].label.toLowerCase()}`}
+                    color={DEVICE_STATUSES[selectedStatus.status].color}
+                    title={describeStatus(selectedStatus, timezone)}
+                  />
+                )}
+                {!selectedDevice && deviceStatuses.length > 0 && (
+                  <Chip
+                    size="small"
+                    label={summarizeStatuses(deviceStatuses)}
+                    color={deviceStatuses.every(status => status.status === 'online') ? 'success' : 'warning'}
+                    title={deviceStatuses
+                      .filter(status => status.status !== 'online')
+                      .map(status => `${status.name}: ${DEVICE_STATUSES[status.status].label}`)
+                      .join('\n')}
+                  />
+                )}
+                <Chip
+                  size="small"
+                  label={serverOffline ? 'Offline' : liveConnected ? 'Live' : 'Polling'}
+                  color={serverOffline ? 'error' : liveConnected ? 'success' : 'default'}
+                  variant="outlined"
+                />
+                <Typography variant="body2" color="text.secondary">
+                  {playbackFrame
+                    ? `Replaying ${formatDateTime(playbackFrame.current.receivedAt, timezone)} ${zoneLabel(timezone)}`
+                    : latestData
+                      ? `Updated on ${formatDateTime(latestData.receivedAt, timezone)} ${zoneLabel(timezone)}`
+                      : 'Updated just now'}
+                </Typography>
+              </Box>
+            </Box>
+
+            <Box mb={3} display="flex" alignItems="center" justifyContent="space-between" gap={1.5} flexWrap="wrap">
+              <RangePicker value={range} onChange={setRange} timeZone={timezone} />
+              <Box display="flex" gap={1.5}>
+                {canAnnotate && (
+                  <Button
+                    variant="outlined"
+                    startIcon={<BookmarkAddIcon />}
+                    onClick={() => setAnnotationDraft({
+                      structure: viewedStructure || structures[0]?.name,
+                      start: new Date().toISOString(),
+                      end: null
+                    })}
+                    disabled={structures.length === 0}
+                    title="Or click a chart at the time of the event"
+                  >
+                    Record event
+                  </Button>
+                )}
+                <Button
+                  variant={playbackOpen ? 'contained' : 'outlined'}
+                  startIcon={<HistoryIcon />}
+                  onClick={() => setPlaybackOpen(!playbackOpen)}
+                  disableElevation
+                >
+                  Playback
+                </Button>
+              </Box>
             </Box>
+            {annotations.length > 0 && (
+              <Box mb={3} display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                <Typography variant="body2" color="text.secondary">Events:</Typography>
+                {annotations.map(annotation => (
+                  <Chip
+                    key={annotation.id}
+                    size="small"
+                    variant="outlined"
+                    label={`${categoryStyle(annotation.category).label} · ${annotation.text}`}
+                    title={`${formatDateTime(annotation.start, timezone)}${annotation.end ? ` – ${formatDateTime(annotation.end, timezone)}` : ''} (${annotation.structure})`}
+                    onClick={() => setAnnotationDraft(annotation)}
+                    sx={{ borderColor: categoryStyle(annotation.category).color, maxWidth: 320 }}
+                  />
+                ))}
+              </Box>
+            )}
+            {playbackOpen && (
+              <Box mb={3}>
+                <PlaybackPanel
+                  key={selectedDevice}
+                  apiBaseUrl={API_BASE_URL}
+                  deviceId={selectedDevice}
+                  timeZone={timezone}
+                  onFrame={setPlaybackFrame}
+                />
+              </Box>
+            )}
             
             <Grid container spacing={3}>
-              <Grid item xs={12} md={6}>
-                <SensorChart 
-                  title="Strain" 
-                  dataKey="strain" 
-                  color="#4CAF50" 
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <SensorChart 
-                  title="Vibration" 
-                  dataKey="vibration" 
-                  color="#2196F3" 
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <SensorChart 
-                  title="Displacement" 
-                  dataKey="displacement" 
-                  color="#FFC107" 
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <SensorChart 
-                  title="Acceleration" 
-                  dataKey="acceleration" 
-                  color="#F44336" 
-                />
-              </Grid>
+              {sensors.map(sensor => (
+                <Grid item xs={12} md={6} key={sensor.id}>
+                  <SensorChart
+                    title={sensor.name}
+                    color={sensor.color}
+                    loading={loading && sensorData.length === 0}
+                    options={chartOptions}
+                    chartTitle={chartTitle(sensor.name, sensor.id)}
+                    data={getChartData(sensor.name, sensor.id, sensor.color)}
+                    tooltipNotes={index => anomalyNotes(sensor.id, index)}
+                  />
+                </Grid>
+              ))}
             </Grid>
+
+            <Box mt={3}>
+              <SpectrumPanel
+                apiBaseUrl={API_BASE_URL}
+                deviceId={selectedDevice}
+                sensors={sensors}
+                timeZone={timezone}
+                from={trend?.from}
+                to={trend?.to}
+              />
+            </Box>
+            <Box mt={3}>
+              <CorrelationPanel
+                apiBaseUrl={API_BASE_URL}
+                deviceId={selectedDevice}
+                sensors={sensors}
+                timeZone={timezone}
+                from={trend?.from}
+                to={trend?.to}
+              />
+            </Box>
           </Box>
         </Container>
       </Box>
+      {annotationDraft && (
+        <AnnotationDialog
+          key={annotationDraft.id || annotationDraft.start}
+          annotation={annotationDraft}
+          onClose={() => setAnnotationDraft(null)}
+          onSaved={fetchAnnotations}
+          apiBaseUrl={API_BASE_URL}
+          structures={structures.map(structure => structure.name)}
+          timeZone={timezone}
+          canEdit={canAnnotate}
+        />
+      )}
+      <ThresholdSettingsDialog
+        open={settingsOpen}
+        onClose={() => setSettingsOpen(false)}
+        onSaved={fetchAlerts}
+        apiBaseUrl={API_BASE_URL}
+        sensors={sensors}
+      />
       <Snackbar
         open={!!error}
         autoHideDuration={6000}
@@ -599,4 +1021,52 @@ function App() {
   )
 }
 
+// Shows the login page until the user has a session, and drops back to it
+// whenever the server rejects the token
+function App() {
+  const [session, setSession] = useState(() => {
+    const stored = loadSession()
+    applySession(stored)
+    return stored
+  })
+
+  const handleLogin = (newSession) => {
+    applySession(newSession)
+    setSession(newSession)
+  }
+
+  const handleLogout = useCallback(() => {
+    axios.post(`${API_BASE_URL}/auth/logout`).catch(() => {})
+    applySession(null)
+    setSession(null)
+  }, [])
+
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && !error.config.url.endsWith('/auth/login')) {
+          applySession(null)
+          setSession(null)
+        }
+        return Promise.reject(error)
+      }
+    )
+    return () => axios.interceptors.response.eject(interceptor)
+  }, [])
+
+  if (!session) {
+    return (
+      <ThemeProvider theme={lightTheme}>
+        <CssBaseline />
+        <LoginPage apiBaseUrl={API_BASE_URL} onLogin={handleLogin} />
+      </ThemeProvider>
+    )
+  }
+
+  const handleUserChange = (user) => handleLogin({ ...session, user })
+
+  return <Dashboard session={session} onLogout={handleLogout} onUserChange={handleUserChange} />
+}
+
 export default App
\ No newline at end of file
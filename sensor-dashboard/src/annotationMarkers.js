@@ -0,0 +1,64 @@
+// Label and marker colour per annotation category from /api/annotations
+export const ANNOTATION_CATEGORIES = {
+  'load-test': { label: 'Load test', color: '#7B1FA2' },
+  maintenance: { label: 'Maintenance', color: '#00897B' },
+  inspection: { label: 'Inspection', color: '#3949AB' },
+  earthquake: { label: 'Earthquake', color: '#D84315' },
+  weather: { label: 'Weather', color: '#546E7A' },
+  other: { label: 'Other', color: '#757575' }
+}
+
+export const categoryStyle = (category) => ANNOTATION_CATEGORIES[category] || ANNOTATION_CATEGORIES.other
+
+// Pixel span of an annotation on a chart's time axis; instants have no
+// width
+const span = (chart, annotation) => {
+  const start = chart.scales.x.getPixelForValue(Date.parse(annotation.start))
+  const end = annotation.end ? chart.scales.x.getPixelForValue(Date.parse(annotation.end)) : start
+  return { start, end }
+}
+
+// Annotation under a click at `x` pixels, allowing a few pixels either side
+// of instant markers
+export const annotationAt = (chart, x, annotations) => annotations.find(annotation => {
+  const { start, end } = span(chart, annotation)
+  return x >= start - 4 && x <= end + 4
+})
+
+// Chart.js plugin drawing `options.annotations` on a time axis: a dashed
+// line for an instant, a shaded band for a range, each labelled with its
+// category. Configured under options.plugins.annotationMarkers.
+export const annotationMarkers = {
+  id: 'annotationMarkers',
+  afterDatasetsDraw(chart, args, options) {
+    const { ctx, chartArea } = chart
+    if (!options.annotations?.length || chart.scales.x?.type !== 'time') return
+
+    ctx.save()
+    ctx.font = '10px sans-serif'
+    options.annotations.forEach(annotation => {
+      const { label, color } = categoryStyle(annotation.category)
+      const { start, end } = span(chart, annotation)
+      if (end < chartArea.left || start > chartArea.right) return
+
+      const left = Math.max(start, chartArea.left)
+      const right = Math.min(end, chartArea.right)
+      if (annotation.end) {
+        ctx.fillStyle = `${color}22`
+        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top)
+      } else {
+        ctx.strokeStyle = color
+        ctx.lineWidth = 1.5
+        ctx.setLineDash([4, 3])
+        ctx.beginPath()
+        ctx.moveTo(left, chartArea.top)
+        ctx.lineTo(left, chartArea.bottom)
+        ctx.stroke()
+        ctx.setLineDash([])
+      }
+      ctx.fillStyle = color
+      ctx.fillText(label, left + 3, chartArea.top + 10)
+    })
+    ctx.restore()
+  }
+}
@@ -0,0 +1,20 @@
+const BASELINE_LABELS = {
+  rolling: 'rolling z-score',
+  ewma: 'EWMA baseline'
+}
+
+export const ANOMALY_COLOR = '#d32f2f'
+
+// Baseline violations the server recorded for one sensor of a reading;
+// readings stored before anomaly scoring have none
+export const violationsFor = (reading, sensor) =>
+  (reading.anomaly?.violations || []).filter(violation => violation.sensor === sensor)
+
+// One tooltip line per violated baseline in the displayed `unit`, e.g.
+// "Anomaly (EWMA baseline): 5.2σ above mean 201.30 ± 20.10 mm/s"
+export const describeViolation = (violation, { unit, factor }) => {
+  const direction = violation.z > 0 ? 'above' : 'below'
+  return `Anomaly (${BASELINE_LABELS[violation.baseline] || violation.baseline}): ` +
+    `${Math.abs(violation.z).toFixed(1)}σ ${direction} mean ` +
+    `${(violation.mean * factor).toFixed(2)} ± ${(violation.std * factor).toFixed(2)} ${unit}`
+}
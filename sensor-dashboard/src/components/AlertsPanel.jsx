@@ -0,0 +1,67 @@
+import {
+  Box,
+  Button,
+  Chip,
+  Paper,
+  Typography
+} from '@mui/material'
+import { NotificationsActive as NotificationsActiveIcon } from '@mui/icons-material'
+import { formatDateTime } from '../time'
+
+// Open (active or acknowledged) alert events raised by the server
+function AlertsPanel({ alerts, onAcknowledge, canAcknowledge, timeZone }) {
+  return (
+    <Paper sx={{ p: 3, borderRadius: 3, mb: 4 }}>
+      <Box display="flex" alignItems="center" mb={2}>
+        <NotificationsActiveIcon sx={{ mr: 1, color: alerts.length ? 'error.main' : 'text.secondary' }} />
+        <Typography variant="h6" color="text.primary">
+          Open Alerts
+        </Typography>
+        <Chip label={alerts.length} size="small" sx={{ ml: 1 }} />
+      </Box>
+      {alerts.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No open alerts
+        </Typography>
+      ) : (
+        alerts.map(alert => (
+          <Box
+            key={alert.id}
+            display="flex"
+            alignItems="center"
+            justifyContent="space-between"
+            gap={2}
+            sx={{ py: 1, borderTop: '1px solid rgba(0, 0, 0, 0.06)' }}
+          >
+            <Box>
+              <Box display="flex" alignItems="center" gap={1}>
+                <Chip
+                  label={alert.severity}
+                  size="small"
+                  color={alert.severity === 'critical' ? 'error' : 'warning'}
+                />
+                <Typography variant="body1" fontWeight={500}>
+                  {alert.ruleName}
+                </Typography>
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                {alert.deviceId} · value {Number(alert.value).toFixed(2)} · since {formatDateTime(alert.startedAt, timeZone)}
+                {alert.acknowledgedAt && ` · acknowledged ${formatDateTime(alert.acknowledgedAt, timeZone)}`}
+              </Typography>
+            </Box>
+            <Button
+              size="small"
+              variant="outlined"
+              disabled={!canAcknowledge || alert.status === 'acknowledged'}
+              onClick={() => onAcknowledge(alert.id)}
+            >
+              {alert.status === 'acknowledged' ? 'Acknowledged' : 'Acknowledge'}
+            </Button>
+          </Box>
+        ))
+      )}
+    </Paper>
+  )
+}
+
+export default AlertsPanel
@@ -0,0 +1,160 @@
+import { useState } from 'react'
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material'
+import axios from 'axios'
+import { ANNOTATION_CATEGORIES } from '../annotationMarkers'
+import { formatDateTime, fromInputValue, toInputValue, zoneLabel } from '../time'
+
+// Form fields for an annotation; a blank end records an instant
+const toForm = (annotation, timeZone) => ({
+  structure: annotation.structure || '',
+  category: annotation.category || 'other',
+  text: annotation.text || '',
+  start: toInputValue(Date.parse(annotation.start), timeZone),
+  end: annotation.end ? toInputValue(Date.parse(annotation.end), timeZone) : ''
+})
+
+// Records an event against a structure, or shows, edits and deletes an
+// existing one. `annotation` without an id is a draft, e.g. from a click on
+// a chart. Viewers get a read-only view. Mounted per annotation, so the form
+// starts from the one given.
+function AnnotationDialog({ annotation, onClose, onSaved, apiBaseUrl, structures, timeZone, canEdit }) {
+  const [form, setForm] = useState(() => toForm(annotation, timeZone))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleChange = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }))
+  }
+
+  const request = async (send) => {
+    setSaving(true)
+    setError(null)
+    try {
+      await send()
+      onSaved?.()
+      onClose()
+    } catch (error) {
+      setError(error.response?.data?.message || 'Could not save the annotation')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = () => request(() => {
+    const body = {
+      structure: form.structure,
+      category: form.category,
+      text: form.text,
+      start: fromInputValue(form.start, timeZone),
+      end: form.end ? fromInputValue(form.end, timeZone) : null
+    }
+    return annotation.id
+      ? axios.put(`${apiBaseUrl}/annotations/${annotation.id}`, body)
+      : axios.post(`${apiBaseUrl}/annotations`, body)
+  })
+
+  const handleDelete = () => request(() => axios.delete(`${apiBaseUrl}/annotations/${annotation.id}`))
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{annotation.id ? 'Event' : 'Record an event'}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Box display="flex" flexDirection="column" gap={2} pt={1}>
+          <Box display="flex" gap={2}>
+            <TextField
+              select
+              size="small"
+              label="Structure"
+              value={form.structure}
+              onChange={handleChange('structure')}
+              disabled={!canEdit}
+              fullWidth
+            >
+              {structures.map(structure => (
+                <MenuItem key={structure} value={structure}>{structure}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              size="small"
+              label="Category"
+              value={form.category}
+              onChange={handleChange('category')}
+              disabled={!canEdit}
+              fullWidth
+            >
+              {Object.entries(ANNOTATION_CATEGORIES).map(([key, category]) => (
+                <MenuItem key={key} value={key}>{category.label}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <TextField
+            size="small"
+            label="Description"
+            value={form.text}
+            onChange={handleChange('text')}
+            disabled={!canEdit}
+            multiline
+            minRows={2}
+            fullWidth
+          />
+          <Box display="flex" gap={2}>
+            <TextField
+              type="datetime-local"
+              size="small"
+              label={`Start (${zoneLabel(timeZone)})`}
+              value={form.start}
+              onChange={handleChange('start')}
+              disabled={!canEdit}
+              slotProps={{ inputLabel: { shrink: true } }}
+              fullWidth
+            />
+            <TextField
+              type="datetime-local"
+              size="small"
+              label={`End (${zoneLabel(timeZone)})`}
+              value={form.end}
+              onChange={handleChange('end')}
+              disabled={!canEdit}
+              helperText="Leave blank for a single point in time"
+              slotProps={{ inputLabel: { shrink: true } }}
+              fullWidth
+            />
+          </Box>
+          {annotation.id && (
+            <Typography variant="caption" color="text.secondary">
+              Recorded by {annotation.author} on {formatDateTime(annotation.createdAt, timeZone)}
+            </Typography>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        {canEdit && annotation.id && (
+          <Button color="error" onClick={handleDelete} disabled={saving} sx={{ mr: 'auto' }}>
+            Delete
+          </Button>
+        )}
+        <Button onClick={onClose}>{canEdit ? 'Cancel' : 'Close'}</Button>
+        {canEdit && (
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.structure || !form.text.trim()} disableElevation>
+            {saving ? 'Saving…' : 'Save'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+export default AnnotationDialog
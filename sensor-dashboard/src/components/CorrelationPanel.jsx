@@ -0,0 +1,323 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  Box,
+  Chip,
+  Grid,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material'
+import { Line, Scatter } from 'react-chartjs-2'
+import axios from 'axios'
+import { timeScale } from '../time'
+
+// Readings fetched for the overlay and scatter plots: the latest in range
+const MAX_POINTS = 2000
+const MAX_LAG_SECONDS = 60
+
+const axisTitle = (text) => ({ display: true, text, color: '#718096', font: { size: 11 } })
+
+// Blue for positive, red for negative correlation, stronger the closer |r|
+// is to 1
+const cellColor = (r) => {
+  if (r === null) return 'transparent'
+  const alpha = Math.abs(r) * 0.6
+  return r >= 0 ? `rgba(33, 150, 243, ${alpha})` : `rgba(244, 67, 54, ${alpha})`
+}
+
+const formatR = (r) => (r === null ? '–' : r.toFixed(2))
+
+// z-scores, so channels in different units share one axis
+const normalize = (values) => {
+  const present = values.filter(value => typeof value === 'number')
+  if (present.length === 0) return values.map(() => null)
+  const mean = present.reduce((sum, value) => sum + value, 0) / present.length
+  const deviation = Math.sqrt(present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / present.length)
+  return values.map(value => (typeof value === 'number' ? (deviation ? (value - mean) / deviation : 0) : null))
+}
+
+// Cross-sensor analysis of the selected device over `from`-`to`, or the
+// last hour: the correlation matrix of every channel, the selected channels
+// overlaid on one time axis, and a scatter plot and lagged
+// cross-correlation of any two channels
+function CorrelationPanel({ apiBaseUrl, deviceId, sensors, timeZone, from, to }) {
+  const [result, setResult] = useState(null)
+  const [readings, setReadings] = useState([])
+  const [error, setError] = useState(null)
+  const [pair, setPair] = useState(['strain', 'displacement'])
+  const [overlay, setOverlay] = useState(null)
+
+  const fetchCorrelation = useCallback(async () => {
+    if (!deviceId) return
+
+    const rangeTo = to ?? Date.now()
+    const rangeFrom = from ?? rangeTo - 60 * 60 * 1000
+    try {
+      const [correlation, latest] = await Promise.all([
+        axios.get(`${apiBaseUrl}/sensor-data/correlation`, {
+          params: { deviceId, from: rangeFrom, to: rangeTo, maxLag: MAX_LAG_SECONDS }
+        }),
+        axios.get(`${apiBaseUrl}/sensor-data`, {
+          params: { deviceId, from: rangeFrom, to: rangeTo, order: 'desc', limit: MAX_POINTS }
+        })
+      ])
+      setResult(correlation.data.data)
+      setReadings([...latest.data.data].reverse())
+      setError(null)
+    } catch (error) {
+      console.error('Error fetching correlation:', error)
+      setError(error.response?.data?.message || 'Could not compute correlations')
+    }
+  }, [apiBaseUrl, deviceId, from, to])
+
+  // A fixed range is fetched once; the default rolling hour every minute
+  useEffect(() => {
+    setResult(null)
+    fetchCorrelation()
+    if (from !== undefined) return undefined
+    const interval = setInterval(fetchCorrelation, 60000)
+    return () => clearInterval(interval)
+  }, [fetchCorrelation, from])
+
+  const sensorFor = (id) => sensors.find(sensor => sensor.id === id)
+  const known = (id) => !!sensorFor(id)
+  const [a, b] = pair.every(known) && pair[0] !== pair[1]
+    ? pair
+    : sensors.slice(0, 2).map(sensor => sensor.id)
+  const shown = overlay ?? [a, b]
+
+  const toggleOverlay = (id) => {
+    setOverlay(shown.includes(id) ? shown.filter(item => item !== id) : [...shown, id])
+  }
+
+  const selectPair = (first, second) => {
+    if (first !== second) setPair([first, second])
+  }
+
+  const renderMatrix = () => (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell />
+          {result.sensors.map(id => (
+            <TableCell key={id} align="center">{sensorFor(id)?.name || id}</TableCell>
+          ))}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {result.sensors.map((row, i) => (
+          <TableRow key={row}>
+            <TableCell component="th">{sensorFor(row)?.name || row}</TableCell>
+            {result.matrix[i].map((r, j) => {
+              const column = result.sensors[j]
+              const selected = (row === a && column === b) || (row === b && column === a)
+              return (
+                <TableCell
+                  key={column}
+                  align="center"
+                  onClick={() => selectPair(row, column)}
+                  sx={{
+                    bgcolor: cellColor(r),
+                    cursor: row === column ? 'default' : 'pointer',
+                    fontWeight: selected ? 'bold' : 'normal',
+                    outline: selected ? '2px solid #4a5568' : 'none'
+                  }}
+                >
+                  {formatR(r)}
+                </TableCell>
+              )
+            })}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  )
+
+  const renderBody = () => {
+    if (!deviceId) {
+      return <Typography variant="body2" color="text.secondary">Select a device to compare its sensors.</Typography>
+    }
+    if (sensors.length < 2) {
+      return <Typography variant="body2" color="text.secondary">Correlations need at least two sensors.</Typography>
+    }
+    if (error) {
+      return <Typography variant="body2" color="error">{error}</Typography>
+    }
+    if (!result) {
+      return <Typography variant="body2" color="text.secondary">Computing correlations…</Typography>
+    }
+    if (readings.length < 3) {
+      return <Typography variant="body2" color="text.secondary">Not enough readings in this range.</Typography>
+    }
+
+    const sensorA = sensorFor(a)
+    const sensorB = sensorFor(b)
+    const crossCorrelation = result.pairs.find(item => (item.a === a && item.b === b) || (item.a === b && item.b === a))
+    // The server orders pairs by catalog position; flip lags when the
+    // selection is the other way round, so positive still means B follows A
+    const flip = crossCorrelation && crossCorrelation.a !== a
+
+    const overlayData = {
+      datasets: shown.filter(known).map(id => {
+        const values = readings.map(reading => reading[id])
+        const scores = normalize(values)
+        return {
+          label: sensorFor(id).name,
+          unit: sensorFor(id).unit,
+          data: readings.map((reading, index) => ({ x: reading.receivedAt, y: scores[index], value: values[index] })),
+          borderColor: sensorFor(id).color,
+          backgroundColor: sensorFor(id).color,
+          borderWidth: 1.5,
+          pointRadius: 0,
+          tension: 0.2
+        }
+      })
+    }
+
+    const scatterData = {
+      datasets: [{
+        label: `${sensorA.name} vs ${sensorB.name}`,
+        data: readings
+          .filter(reading => typeof reading[a] === 'number' && typeof reading[b] === 'number')
+          .map(reading => ({ x: reading[a], y: reading[b] })),
+        backgroundColor: `${sensorA.color}80`,
+        pointRadius: 2
+      }]
+    }
+
+    const lagData = {
+      datasets: [{
+        label: 'Correlation',
+        data: (crossCorrelation?.lags || []).map(point => ({ x: flip ? -point.lagSeconds : point.lagSeconds, y: point.r }))
+          .sort((first, second) => first.x - second.x),
+        borderColor: sensorB.color,
+        borderWidth: 1.5,
+        pointRadius: 0
+      }]
+    }
+
+    const options = {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: { legend: { display: false } }
+    }
+
+    const peak = crossCorrelation?.peak
+    // Long ranges and coarse grids can search less than MAX_LAG_SECONDS
+    const searched = crossCorrelation?.maxLagSeconds ?? null
+    const lagTitle = searched === null
+      ? 'Lag of B behind A (s)'
+      : `Lag of B behind A (s), searched to ±${Number(searched.toFixed(1))} s`
+
+    return (
+      <>
+        <Box sx={{ overflowX: 'auto', mb: 3 }}>
+          {renderMatrix()}
+        </Box>
+        <Box display="flex" alignItems="center" gap={1} flexWrap="wrap" mb={1}>
+          <Typography variant="body2" color="text.secondary">Overlay (normalized):</Typography>
+          {sensors.map(sensor => (
+            <Chip
+              key={sensor.id}
+              size="small"
+              label={sensor.name}
+              onClick={() => toggleOverlay(sensor.id)}
+              variant={shown.includes(sensor.id) ? 'filled' : 'outlined'}
+              sx={shown.includes(sensor.id) ? { bgcolor: sensor.color, color: '#fff' } : undefined}
+            />
+          ))}
+        </Box>
+        <Box sx={{ height: 240, mb: 3 }}>
+          <Line
+            data={overlayData}
+            options={{
+              ...options,
+              plugins: {
+                legend: { display: true, position: 'bottom' },
+                tooltip: {
+                  callbacks: {
+                    label: (item) => `${item.dataset.label}: ${item.raw.value?.toFixed(2) ?? '–'} ${item.dataset.unit}`
+                  }
+                }
+              },
+              scales: {
+                x: timeScale(timeZone, { font: { size: 10 } }),
+                y: { title: axisTitle('Standard deviations from the mean') }
+              }
+            }}
+          />
+        </Box>
+        <Box display="flex" alignItems="center" gap={1.5} flexWrap="wrap" mb={2}>
+          <TextField select size="small" label="A" value={a} onChange={(event) => selectPair(event.target.value, b)} sx={{ minWidth: 150 }}>
+            {sensors.map(sensor => (
+              <MenuItem key={sensor.id} value={sensor.id} disabled={sensor.id === b}>{sensor.name}</MenuItem>
+            ))}
+          </TextField>
+          <TextField select size="small" label="B" value={b} onChange={(event) => selectPair(a, event.target.value)} sx={{ minWidth: 150 }}>
+            {sensors.map(sensor => (
+              <MenuItem key={sensor.id} value={sensor.id} disabled={sensor.id === a}>{sensor.name}</MenuItem>
+            ))}
+          </TextField>
+          <Typography variant="body2" color="text.secondary">
+            r = {formatR(crossCorrelation?.r ?? null)} over {crossCorrelation?.samples ?? 0} readings
+          </Typography>
+          {peak && (
+            <Chip
+              size="small"
+              label={`Peak r ${formatR(peak.r)} at ${(flip ? -peak.lagSeconds : peak.lagSeconds).toFixed(1)} s`}
+              title="A positive lag means B follows A"
+            />
+          )}
+        </Box>
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            <Box sx={{ height: 240 }}>
+              <Scatter
+                data={scatterData}
+                options={{
+                  ...options,
+                  scales: {
+                    x: { type: 'linear', title: axisTitle(`${sensorA.name} (${sensorA.unit})`) },
+                    y: { title: axisTitle(`${sensorB.name} (${sensorB.unit})`) }
+                  }
+                }}
+              />
+            </Box>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Box sx={{ height: 240 }}>
+              <Line
+                data={lagData}
+                options={{
+                  ...options,
+                  scales: {
+                    x: { type: 'linear', title: axisTitle(lagTitle) },
+                    y: { min: -1, max: 1, title: axisTitle('Correlation (r)') }
+                  }
+                }}
+              />
+            </Box>
+          </Grid>
+        </Grid>
+      </>
+    )
+  }
+
+  return (
+    <Paper sx={{ p: 3, borderRadius: 3 }}>
+      <Typography variant="h6" color="text.primary" mb={2}>
+        Correlation
+      </Typography>
+      {renderBody()}
+    </Paper>
+  )
+}
+
+export default CorrelationPanel
@@ -0,0 +1,89 @@
+import { useState } from 'react'
+import {
+  Alert,
+  Box,
+  Button,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material'
+import { Dashboard as DashboardIcon } from '@mui/icons-material'
+import axios from 'axios'
+
+function LoginPage({ apiBaseUrl, onLogin }) {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setSubmitting(true)
+    setError(null)
+    try {
+      const response = await axios.post(`${apiBaseUrl}/auth/login`, { username, password })
+      onLogin(response.data.data)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Could not reach the server')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Box sx={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'linear-gradient(135deg, #f6f8fc 0%, #e3edf7 100%)'
+    }}>
+      <Paper component="form" onSubmit={handleSubmit} sx={{ p: 4, width: 360, borderRadius: 3 }}>
+        <Box display="flex" alignItems="center" mb={3}>
+          <DashboardIcon sx={{
+            mr: 1.5,
+            fontSize: 40,
+            color: '#1976d2',
+            bgcolor: 'rgba(25, 118, 210, 0.1)',
+            p: 1,
+            borderRadius: 2
+          }} />
+          <Typography variant="h6" color="text.primary">
+            Structural Health Monitoring
+          </Typography>
+        </Box>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <TextField
+          label="Username"
+          fullWidth
+          margin="normal"
+          autoComplete="username"
+          value={username}
+          onChange={(event) => setUsername(event.target.value)}
+          autoFocus
+        />
+        <TextField
+          label="Password"
+          type="password"
+          fullWidth
+          margin="normal"
+          autoComplete="current-password"
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+        />
+        <Button
+          type="submit"
+          variant="contained"
+          fullWidth
+          disabled={submitting || !username || !password}
+          sx={{ mt: 2, py: 1 }}
+          disableElevation
+        >
+          {submitting ? 'Signing in…' : 'Sign in'}
+        </Button>
+      </Paper>
+    </Box>
+  )
+}
+
+export default LoginPage
@@ -0,0 +1,179 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  Box,
+  Button,
+  IconButton,
+  MenuItem,
+  Paper,
+  Select,
+  Slider,
+  TextField,
+  Typography
+} from '@mui/material'
+import {
+  PlayArrow as PlayArrowIcon,
+  Pause as PauseIcon
+} from '@mui/icons-material'
+import axios from 'axios'
+import { formatDateTime, formatTime, fromInputValue, toInputValue, zoneLabel } from '../time'
+
+const PAGE_SIZE = 10000
+// Longer windows are cut off here to keep the browser responsive
+const MAX_READINGS = 50000
+const FRAME_MS = 100
+const SPEEDS = [1, 10, 60, 600, 3600]
+const WINDOW_SIZE = 20
+
+// Index of the last reading taken at or before `time`
+const indexAt = (readings, time) => {
+  let low = 0
+  let high = readings.length - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (readings[mid].receivedAt <= time) low = mid
+    else high = mid - 1
+  }
+  return low
+}
+
+// Replays stored readings of a time window: loads them from the server,
+// then steps a playback clock through them at the chosen speed. Every
+// position change reports the reading at the clock and the 20 before it
+// through `onFrame({ readings, current })`.
+function PlaybackPanel({ apiBaseUrl, deviceId, timeZone, onFrame }) {
+  const [from, setFrom] = useState(() => toInputValue(Date.now() - 60 * 60 * 1000, timeZone))
+  const [to, setTo] = useState(() => toInputValue(Date.now(), timeZone))
+  const [readings, setReadings] = useState([])
+  const [time, setTime] = useState(null)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(60)
+  const [loading, setLoading] = useState(false)
+  const [message, setMessage] = useState(null)
+  const lastTick = useRef(null)
+
+  const start = readings.length ? readings[0].receivedAt : 0
+  const end = readings.length ? readings[readings.length - 1].receivedAt : 0
+
+  const load = async () => {
+    setLoading(true)
+    setPlaying(false)
+    setMessage(null)
+    try {
+      const loaded = []
+      let cursor
+      do {
+        const response = await axios.get(`${apiBaseUrl}/sensor-data`, {
+          params: {
+            from: fromInputValue(from, timeZone),
+            to: fromInputValue(to, timeZone),
+            order: 'asc',
+            limit: PAGE_SIZE,
+            deviceId: deviceId || undefined,
+            cursor
+          }
+        })
+        loaded.push(...response.data.data)
+        cursor = response.data.paging.nextCursor
+      } while (cursor && loaded.length < MAX_READINGS)
+
+      setReadings(loaded)
+      setTime(loaded.length ? loaded[0].receivedAt : null)
+      if (loaded.length === 0) setMessage('No readings in this window')
+      else if (cursor) setMessage(`Only the first ${loaded.length} readings were loaded`)
+    } catch (error) {
+      console.error('Error loading playback data:', error)
+      setMessage(error.response?.data?.message || 'Could not load readings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Advance the clock by real elapsed time times the speed; stop at the end
+  useEffect(() => {
+    if (!playing) return undefined
+    lastTick.current = Date.now()
+    const interval = setInterval(() => {
+      const tickAt = Date.now()
+      const elapsed = (tickAt - lastTick.current) * speed
+      lastTick.current = tickAt
+      setTime(current => Math.min(current + elapsed, end))
+    }, FRAME_MS)
+    return () => clearInterval(interval)
+  }, [playing, speed, end])
+
+  useEffect(() => {
+    if (playing && time >= end) setPlaying(false)
+  }, [playing, time, end])
+
+  useEffect(() => {
+    if (time === null || readings.length === 0) {
+      onFrame(null)
+      return
+    }
+    const index = indexAt(readings, time)
+    onFrame({
+      readings: readings.slice(Math.max(0, index - WINDOW_SIZE + 1), index + 1),
+      current: readings[index]
+    })
+  }, [time, readings, onFrame])
+
+  // Hand the dashboard back to live data when playback closes
+  useEffect(() => () => onFrame(null), [onFrame])
+
+  const togglePlaying = () => {
+    if (!playing && time >= end) setTime(start)
+    setPlaying(!playing)
+  }
+
+  return (
+    <Paper sx={{ p: 2, borderRadius: 3 }}>
+      <Box display="flex" alignItems="center" gap={1.5} flexWrap="wrap">
+        <TextField
+          type="datetime-local"
+          size="small"
+          label={`From (${zoneLabel(timeZone)})`}
+          value={from}
+          onChange={(event) => setFrom(event.target.value)}
+          slotProps={{ inputLabel: { shrink: true } }}
+        />
+        <TextField
+          type="datetime-local"
+          size="small"
+          label={`To (${zoneLabel(timeZone)})`}
+          value={to}
+          onChange={(event) => setTo(event.target.value)}
+          slotProps={{ inputLabel: { shrink: true } }}
+        />
+        <Button variant="outlined" onClick={load} disabled={loading}>
+          {loading ? 'Loading…' : 'Load'}
+        </Button>
+        <IconButton onClick={togglePlaying} disabled={readings.length < 2} title={playing ? 'Pause' : 'Play'}>
+          {playing ? <PauseIcon /> : <PlayArrowIcon />}
+        </IconButton>
+        <Select size="small" value={speed} onChange={(event) => setSpeed(event.target.value)}>
+          {SPEEDS.map(option => (
+            <MenuItem key={option} value={option}>{option}×</MenuItem>
+          ))}
+        </Select>
+        <Typography variant="body2" color="text.secondary">
+          {message || (time !== null ? `${formatDateTime(time, timeZone)} · ${readings.length} readings` : 'Pick a window and load it')}
+        </Typography>
+      </Box>
+      {readings.length > 1 && (
+        <Box px={1} pt={1}>
+          <Slider
+            size="small"
+            min={start}
+            max={end}
+            value={time ?? start}
+            onChange={(event, value) => setTime(value)}
+            valueLabelDisplay="auto"
+            valueLabelFormat={(value) => formatTime(value, timeZone)}
+          />
+        </Box>
+      )}
+    </Paper>
+  )
+}
+
+export default PlaybackPanel
@@ -0,0 +1,50 @@
+import {
+  Box,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material'
+import { RANGE_PRESETS } from '../ranges'
+import { zoneLabel } from '../time'
+
+// Chooses between the live view and a historical window for the charts;
+// custom bounds are entered in `timeZone`
+function RangePicker({ value, onChange, timeZone }) {
+  const handlePreset = (event, preset) => {
+    if (preset) onChange({ ...value, preset })
+  }
+
+  return (
+    <Box display="flex" alignItems="center" gap={1.5} flexWrap="wrap">
+      <ToggleButtonGroup size="small" exclusive value={value.preset} onChange={handlePreset}>
+        <ToggleButton value="live">Live</ToggleButton>
+        {Object.entries(RANGE_PRESETS).map(([key, preset]) => (
+          <ToggleButton key={key} value={key}>{preset.label}</ToggleButton>
+        ))}
+        <ToggleButton value="custom">Custom</ToggleButton>
+      </ToggleButtonGroup>
+      {value.preset === 'custom' && (
+        <>
+          <TextField
+            type="datetime-local"
+            size="small"
+            label={`From (${zoneLabel(timeZone)})`}
+            value={value.from}
+            onChange={(event) => onChange({ ...value, from: event.target.value })}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            type="datetime-local"
+            size="small"
+            label={`To (${zoneLabel(timeZone)})`}
+            value={value.to}
+            onChange={(event) => onChange({ ...value, to: event.target.value })}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+        </>
+      )}
+    </Box>
+  )
+}
+
+export default RangePicker
@@ -0,0 +1,77 @@
+import { Box, Card, CardContent, Divider, Typography } from '@mui/material'
+
+// Latest value of one sensor, already in the display unit, highlighted while
+// `alert` (the sensor's most severe active alert) is set
+function SensorCard({ title, value, unit, icon, color, alert }) {
+  return (
+    <Card sx={{ 
+      height: '100%', 
+      borderTop: `4px solid ${color}`,
+      borderRadius: 3,
+      transition: 'all 0.3s ease-in-out',
+      '&:hover': {
+        transform: 'translateY(-8px)',
+        boxShadow: `0 12px 32px ${color}20`
+      },
+      position: 'relative',
+      bgcolor: alert ? 'error.light' : 'background.paper',
+      overflow: 'visible'
+    }}>
+      <CardContent>
+        <Box display="flex" alignItems="center" mb={1}>
+          <Box 
+            sx={{ 
+              bgcolor: `${color}15`, 
+              p: 1.5,
+              borderRadius: 2,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              mr: 2,
+              boxShadow: `0 4px 12px ${color}30`
+            }}
+          >
+            {icon}
+          </Box>
+          <Typography variant="h6" color="text.secondary" sx={{ fontWeight: 500 }}>
+            {title}
+          </Typography>
+        </Box>
+        <Divider sx={{ my: 2, opacity: 0.1 }} />
+        <Box display="flex" alignItems="baseline">
+          <Typography 
+            variant="h4" 
+            fontWeight="bold" 
+            color={alert ? 'error.main' : 'text.primary'}
+            sx={{ letterSpacing: '-0.02em' }}
+          >
+            {value?.toFixed(2) || '---'}
+          </Typography>
+          {value !== null && (
+            <Typography variant="body2" ml={1} color="text.secondary" sx={{ opacity: 0.8 }}>
+              {unit}
+            </Typography>
+          )}
+        </Box>
+        {alert && (
+          <Typography 
+            variant="caption" 
+            color="error" 
+            sx={{ 
+              display: 'block', 
+              mt: 1,
+              p: 1,
+              bgcolor: 'error.light',
+              borderRadius: 1,
+              fontWeight: 500
+            }}
+          >
+            ⚠️ {alert.ruleName} (threshold {alert.threshold})
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default SensorCard
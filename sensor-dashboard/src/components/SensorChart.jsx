@@ -0,0 +1,82 @@
+import { Box, CircularProgress, Paper, Typography } from '@mui/material'
+import { Line } from 'react-chartjs-2'
+import { annotationMarkers } from '../annotationMarkers'
+
+// One sensor's line chart. `options` are the chart options shared by every
+// sensor; `chartTitle` and the tooltip lines from `tooltipNotes(index)` are
+// this sensor's own.
+function SensorChart({ title, color, loading, options, chartTitle, data, tooltipNotes }) {
+  return (
+    <Paper sx={{ 
+      p: 3, 
+      height: 280,
+      borderRadius: 3,
+      overflow: 'hidden',
+      position: 'relative',
+      transition: 'transform 0.3s ease-in-out',
+      '&:hover': {
+        transform: 'translateY(-4px)',
+        boxShadow: `0 12px 32px ${color}10`
+      }
+    }}>
+      <Typography 
+        variant="h6" 
+        fontWeight="medium" 
+        mb={2} 
+        color="text.primary"
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          '&::before': {
+            content: '""',
+            display: 'block',
+            width: 12,
+            height: 12,
+            borderRadius: '50%',
+            bgcolor: color,
+            boxShadow: `0 0 12px ${color}80`,
+            mr: 1.5
+          }
+        }}
+      >
+        {title}
+      </Typography>
+      <Box sx={{ height: 210 }}>
+        {loading ? (
+          <Box 
+            sx={{ 
+              height: '100%', 
+              display: 'flex', 
+              alignItems: 'center',
+              justifyContent: 'center' 
+            }}
+          >
+            <CircularProgress size={40} />
+          </Box>
+        ) : (
+          <Line 
+            options={{
+              ...options,
+              plugins: {
+                ...options.plugins,
+                title: {
+                  ...options.plugins.title,
+                  text: chartTitle
+                },
+                tooltip: {
+                  callbacks: {
+                    afterBody: (items) => tooltipNotes(items[0].dataIndex)
+                  }
+                }
+              }
+            }} 
+            data={data}
+            plugins={[annotationMarkers]} 
+          />
+        )}
+      </Box>
+    </Paper>
+  )
+}
+
+export default SensorChart
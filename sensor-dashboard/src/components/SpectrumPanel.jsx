@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  Box,
+  Chip,
+  Grid,
+  MenuItem,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material'
+import { Line } from 'react-chartjs-2'
+import { Chart as ChartJS, LogarithmicScale } from 'chart.js'
+import axios from 'axios'
+import { timeScale } from '../time'
+
+ChartJS.register(LogarithmicScale)
+
+const axisTitle = (text) => ({ display: true, text, color: '#718096', font: { size: 11 } })
+
+// Vibration is analysed first; any catalog sensor can be picked
+const DEFAULT_SENSOR = 'vibration'
+
+// Power spectrum of one of the selected device's sensors and the dominant
+// frequency of each analysis window, to follow shifts in the structure's
+// natural frequencies. Covers `from`-`to`, or the last hour.
+function SpectrumPanel({ apiBaseUrl, deviceId, sensors, timeZone, from, to }) {
+  const [sensor, setSensor] = useState(DEFAULT_SENSOR)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  const fetchSpectrum = useCallback(async () => {
+    if (!deviceId) return
+
+    try {
+      const response = await axios.get(`${apiBaseUrl}/sensor-data/spectrum`, {
+        params: { deviceId, sensor, from, to }
+      })
+      setResult(response.data.data)
+      setError(null)
+    } catch (error) {
+      console.error('Error fetching spectrum:', error)
+      setError(error.response?.data?.message || 'Could not compute the spectrum')
+    }
+  }, [apiBaseUrl, deviceId, sensor, from, to])
+
+  // A fixed range is fetched once; the default rolling hour every minute
+  useEffect(() => {
+    setResult(null)
+    fetchSpectrum()
+    if (from !== undefined) return undefined
+    const interval = setInterval(fetchSpectrum, 60000)
+    return () => clearInterval(interval)
+  }, [fetchSpectrum, from])
+
+  const { color = '#2196F3' } = sensors.find(item => item.id === sensor) || {}
+
+  const renderBody = () => {
+    if (!deviceId) {
+      return <Typography variant="body2" color="text.secondary">Select a device to see its spectrum.</Typography>
+    }
+    if (error) {
+      return <Typography variant="body2" color="error">{error}</Typography>
+    }
+    if (!result) {
+      return <Typography variant="body2" color="text.secondary">Computing spectrum…</Typography>
+    }
+    if (result.segments === 0) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          Not enough readings in this range for a {result.windowSize}-sample window.
+        </Typography>
+      )
+    }
+
+    const spectrumData = {
+      datasets: [{
+        label: 'PSD',
+        data: result.spectrum
+          .filter(point => point.frequency > 0 && point.power > 0)
+          .map(point => ({ x: point.frequency, y: point.power })),
+        borderColor: color,
+        borderWidth: 1.5,
+        pointRadius: 0
+      }]
+    }
+
+    const trackData = {
+      datasets: [{
+        label: 'Dominant frequency',
+        data: result.track.map(segment => ({ x: Date.parse(segment.start), y: segment.peaks[0]?.frequency ?? null })),
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 1.5,
+        pointRadius: 2
+      }]
+    }
+
+    const options = {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: { legend: { display: false } }
+    }
+
+    return (
+      <>
+        <Box display="flex" alignItems="center" gap={1} flexWrap="wrap" mb={2}>
+          <Typography variant="body2" color="text.secondary">
+            {result.sampleRate.toFixed(2)} Hz sampling, {result.resolution.toFixed(3)} Hz resolution, peaks:
+          </Typography>
+          {result.peaks.map(peak => (
+            <Chip key={peak.frequency} size="small" label={`${peak.frequency.toFixed(3)} Hz`} />
+          ))}
+        </Box>
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            <Box sx={{ height: 240 }}>
+              <Line
+                data={spectrumData}
+                options={{
+                  ...options,
+                  scales: {
+                    x: { type: 'linear', title: axisTitle('Frequency (Hz)') },
+                    y: { type: 'logarithmic', title: axisTitle(`PSD ${result.unit}`) }
+                  }
+                }}
+              />
+            </Box>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Box sx={{ height: 240 }}>
+              <Line
+                data={trackData}
+                options={{
+                  ...options,
+                  scales: {
+                    x: timeScale(timeZone, { font: { size: 10 } }),
+                    y: { title: axisTitle('Dominant frequency (Hz)') }
+                  }
+                }}
+              />
+            </Box>
+          </Grid>
+        </Grid>
+      </>
+    )
+  }
+
+  return (
+    <Paper sx={{ p: 3, borderRadius: 3 }}>
+      <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+        <Typography variant="h6" color="text.primary">
+          Spectrum
+        </Typography>
+        <TextField
+          select
+          size="small"
+          label="Sensor"
+          value={sensors.some(item => item.id === sensor) ? sensor : ''}
+          onChange={(event) => setSensor(event.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {sensors.map(item => (
+            <MenuItem key={item.id} value={item.id}>{item.name}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+      {renderBody()}
+    </Paper>
+  )
+}
+
+export default SpectrumPanel
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react'
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  TextField,
+  Typography
+} from '@mui/material'
+import axios from 'axios'
+
+const LEVELS = ['warning', 'critical']
+
+// Blank fields mean "no threshold" and are sent as null
+const toForm = (thresholds) => Object.fromEntries(
+  Object.entries(thresholds).map(([sensor, levels]) => [
+    sensor,
+    Object.fromEntries(LEVELS.map(level => [level, levels[level] ?? '']))
+  ])
+)
+
+const fromForm = (form) => Object.fromEntries(
+  Object.entries(form).map(([sensor, levels]) => [
+    sensor,
+    Object.fromEntries(LEVELS.map(level => [level, levels[level] === '' ? null : Number(levels[level])]))
+  ])
+)
+
+// Editor for the per-sensor thresholds stored on the server
+function ThresholdSettingsDialog({ open, onClose, onSaved, apiBaseUrl, sensors }) {
+  const [form, setForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!open) return
+
+    setForm(null)
+    setError(null)
+    axios.get(`${apiBaseUrl}/thresholds`)
+      .then(response => setForm(toForm(response.data.data)))
+      .catch(error => setError(error.response?.data?.message || 'Could not load thresholds'))
+  }, [open, apiBaseUrl])
+
+  const handleChange = (sensor, level) => (event) => {
+    setForm(prev => ({
+      ...prev,
+      [sensor]: { ...prev[sensor], [level]: event.target.value }
+    }))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      await axios.put(`${apiBaseUrl}/thresholds`, fromForm(form))
+      onSaved?.()
+      onClose()
+    } catch (error) {
+      setError(error.response?.data?.message || 'Could not save thresholds')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Alert Thresholds</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          Readings above a threshold raise an alert for every operator. Leave a field blank to disable that level.
+        </Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {!form ? (
+          !error && (
+            <Box display="flex" justifyContent="center" py={4}>
+              <CircularProgress size={32} />
+            </Box>
+          )
+        ) : (
+          <Grid container spacing={2}>
+            {Object.keys(form).map(sensor => {
+              const { name = sensor, unit } = sensors.find(item => item.id === sensor) || {}
+              return (
+                <Grid item xs={12} key={sensor}>
+                  <Typography variant="subtitle2" sx={{ mb: 1 }}>
+                    {name} {unit && `(${unit})`}
+                  </Typography>
+                  <Box display="flex" gap={2}>
+                    {LEVELS.map(level => (
+                      <TextField
+                        key={level}
+                        label={level === 'warning' ? 'Warning' : 'Critical'}
+                        type="number"
+                        size="small"
+                        fullWidth
+                        value={form[sensor][level]}
+                        onChange={handleChange(sensor, level)}
+                      />
+                    ))}
+                  </Box>
+                </Grid>
+              )
+            })}
+          </Grid>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!form || saving} disableElevation>
+          {saving ? 'Saving…' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+export default ThresholdSettingsDialog
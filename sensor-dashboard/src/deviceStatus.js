@@ -0,0 +1,31 @@
+import { formatDateTime } from './time'
+
+// Badge label and MUI palette colour for each status /api/devices/status
+// reports
+export const DEVICE_STATUSES = {
+  online: { label: 'Online', color: 'success' },
+  stale: { label: 'Stale', color: 'warning' },
+  offline: { label: 'Offline', color: 'error' },
+  never: { label: 'No data', color: 'default' }
+}
+
+// Icons have no 'default' colour; devices without a status yet are greyed
+// out the same way
+export const statusDotColor = (status) => {
+  const color = status ? DEVICE_STATUSES[status.status].color : 'default'
+  return color === 'default' ? 'disabled' : color
+}
+
+// Tooltip text for a device's badge: its issues, or when it was last seen
+export const describeStatus = (status, timeZone) => {
+  if (!status) return 'Status unknown'
+  if (status.issues.length > 0) return status.issues.join('\n')
+  const lastSeen = formatDateTime(status.lastSeenAt, timeZone)
+  return `Reporting every ~${Math.round(status.expectedIntervalSeconds)} s, last seen ${lastSeen}`
+}
+
+// "3 of 4 devices online", for the all-devices view
+export const summarizeStatuses = (statuses) => {
+  const online = statuses.filter(status => status.status === 'online').length
+  return `${online} of ${statuses.length} devices online`
+}
@@ -0,0 +1,34 @@
+import { fromInputValue } from './time'
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+export const RANGE_PRESETS = {
+  '1h': { label: 'Last hour', span: HOUR_MS, interval: '1m' },
+  '24h': { label: 'Last day', span: DAY_MS, interval: '1h' },
+  '7d': { label: 'Last week', span: 7 * DAY_MS, interval: '1h' }
+}
+
+// Bucket size that keeps a custom range to a readable number of points
+const intervalForSpan = (span) => {
+  if (span <= 2 * HOUR_MS) return '1m'
+  if (span <= 14 * DAY_MS) return '1h'
+  return '1d'
+}
+
+// Turns the picker state into an aggregate query, or null for live mode.
+// Custom bounds are wall-clock times in `timeZone`.
+export const resolveRange = (range, timeZone) => {
+  if (range.preset === 'live') return null
+
+  if (range.preset === 'custom') {
+    const from = fromInputValue(range.from, timeZone)
+    const to = fromInputValue(range.to, timeZone)
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) return null
+    return { from, to, interval: intervalForSpan(to - from), label: 'Custom range' }
+  }
+
+  const preset = RANGE_PRESETS[range.preset]
+  const to = Date.now()
+  return { from: to - preset.span, to, interval: preset.interval, label: preset.label }
+}
@@ -0,0 +1,36 @@
+import axios from 'axios'
+
+const STORAGE_KEY = 'shm-session'
+const ROLES = ['viewer', 'operator', 'admin']
+
+// The logged-in user's { token, expiresAt, user }, kept across reloads
+export const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (session && new Date(session.expiresAt) > new Date()) return session
+  } catch {
+    // Ignore unreadable storage and fall through to logged out
+  }
+  return null
+}
+
+// Stores the session and makes every axios request carry its token
+export const applySession = (session) => {
+  if (session) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session))
+    axios.defaults.headers.common.Authorization = `Bearer ${session.token}`
+  } else {
+    localStorage.removeItem(STORAGE_KEY)
+    delete axios.defaults.headers.common.Authorization
+  }
+}
+
+// EventSource and download links cannot send headers, so they pass the
+// token as a query parameter instead
+export const withToken = (url, session) => {
+  if (!session) return url
+  const separator = url.includes('?') ? '&' : '?'
+  return `${url}${separator}access_token=${encodeURIComponent(session.token)}`
+}
+
+export const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role)
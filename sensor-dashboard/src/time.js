@@ -0,0 +1,55 @@
+import { DateTime } from 'luxon'
+import { Chart as ChartJS, TimeScale } from 'chart.js'
+import 'chartjs-adapter-luxon'
+
+ChartJS.register(TimeScale)
+
+// The server keeps every time in UTC (`receivedAt` epoch milliseconds,
+// ISO-8601 strings); the dashboard shows them in one display time zone
+export const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+export const TIMEZONES = Intl.supportedValuesOf('timeZone')
+
+// The user's own zone wins, then the zone of the structure being viewed,
+// then the browser's
+export const resolveTimezone = (user, structure) => (
+  user?.timezone || structure?.displayTimezone || BROWSER_TIMEZONE
+)
+
+// e.g. 2026-10-18 14:05:09
+export const formatDateTime = (time, timeZone) => (
+  DateTime.fromMillis(new Date(time).getTime(), { zone: timeZone }).toFormat('yyyy-LL-dd HH:mm:ss')
+)
+
+export const formatTime = (time, timeZone) => (
+  DateTime.fromMillis(new Date(time).getTime(), { zone: timeZone }).toFormat('HH:mm:ss')
+)
+
+// Short zone name shown next to times, e.g. GMT+5:30 or BST
+export const zoneLabel = (timeZone) => DateTime.now().setZone(timeZone).toFormat('ZZZZ')
+
+// datetime-local inputs are read and written as wall-clock time in the
+// display zone, not the browser's
+export const toInputValue = (time, timeZone) => (
+  DateTime.fromMillis(time, { zone: timeZone }).toFormat("yyyy-LL-dd'T'HH:mm")
+)
+
+export const fromInputValue = (value, timeZone) => (
+  DateTime.fromISO(value, { zone: timeZone }).toMillis()
+)
+
+// Chart.js x axis for points given as { x: epoch milliseconds, y }
+export const timeScale = (timeZone, ticks = {}) => ({
+  type: 'time',
+  adapters: { date: { zone: timeZone } },
+  time: {
+    tooltipFormat: 'yyyy-LL-dd HH:mm:ss',
+    displayFormats: {
+      second: 'HH:mm:ss',
+      minute: 'HH:mm',
+      hour: 'dd LLL HH:mm',
+      day: 'dd LLL'
+    }
+  },
+  ticks: { maxRotation: 0, autoSkipPadding: 12, ...ticks }
+})
@@ -0,0 +1,42 @@
+const STORAGE_KEY = 'shm-units'
+const MM_PER_INCH = 25.4
+const STANDARD_GRAVITY = 9.80665
+
+// Each system maps a stored unit (see the sensor catalog) to the unit shown
+// and the factor applied to stored values. Units a system does not list,
+// such as μɛ, are shown as stored.
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric (mm, m/s²)',
+    conversions: {}
+  },
+  metricG: {
+    label: 'Metric (mm, g)',
+    conversions: {
+      'm/s²': { unit: 'g', factor: 1 / STANDARD_GRAVITY }
+    }
+  },
+  imperial: {
+    label: 'Imperial (in, g)',
+    conversions: {
+      'mm/s': { unit: 'in/s', factor: 1 / MM_PER_INCH },
+      mm: { unit: 'in', factor: 1 / MM_PER_INCH },
+      'm/s²': { unit: 'g', factor: 1 / STANDARD_GRAVITY }
+    }
+  }
+}
+
+// Unit and factor a catalog sensor is shown with in `system`
+export const displayUnit = (system, sensor) => (
+  UNIT_SYSTEMS[system].conversions[sensor?.unit] || { unit: sensor?.unit || '', factor: 1 }
+)
+
+// The unit system is a per-browser preference
+export const loadUnitSystem = () => {
+  const stored = localStorage.getItem(STORAGE_KEY)
+  return UNIT_SYSTEMS[stored] ? stored : 'metric'
+}
+
+export const saveUnitSystem = (system) => {
+  localStorage.setItem(STORAGE_KEY, system)
+}
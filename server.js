@@ -2,45 +2,316 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const path = require('path');
-const ExcelJS = require('exceljs');
-const fs = require('fs');
+const crypto = require('crypto');
+const { createSensorStore } = require('./server/sensorStore');
+const { createDeviceRegistry, DEFAULT_DEVICE_ID } = require('./server/deviceRegistry');
+const { createDevicesRouter } = require('./server/routes/devices');
+const { createStructuresRouter } = require('./server/routes/structures');
+const { createSensorCatalog } = require('./server/sensorCatalog');
+const { createSensorsRouter } = require('./server/routes/sensors');
+const { createAnnotationStore } = require('./server/annotations');
+const { createAnnotationsRouter } = require('./server/routes/annotations');
+const { createAlertEngine } = require('./server/alertEngine');
+const { createAlertsRouter } = require('./server/routes/alerts');
+const { createAnomalyDetector } = require('./server/anomalyDetector');
+const { createNotifier } = require('./server/notifier');
+const { createNotificationsRouter } = require('./server/routes/notifications');
+const { createMqttBridge } = require('./server/mqttBridge');
+const { createSimulator } = require('./server/simulator');
+const { createSimulatorRouter } = require('./server/routes/simulator');
+const { createThresholdsRouter } = require('./server/routes/thresholds');
+const { createLiveFeed } = require('./server/liveFeed');
+const { createIngestPipeline } = require('./server/ingest');
+const { createDeviceHealth } = require('./server/deviceHealth');
+const { createMetrics } = require('./server/metrics');
+const { createHealthCheck } = require('./server/health');
+const { isTimezone } = require('./server/timezones');
+const { parseTimeRange, parseLimit } = require('./server/queryParams');
+const { sendExport, EXPORT_FORMATS } = require('./server/export');
+const { createReportGenerator, reportFileName, REPORT_PERIODS, MAX_REPORT_DAYS } = require('./server/report');
+const { renderReport, REPORT_FORMATS } = require('./server/reportFormats');
+const { createReportScheduler } = require('./server/reportScheduler');
+const { aggregateReadings, INTERVALS } = require('./server/aggregate');
+const {
+    computeSpectrum,
+    isPowerOfTwo,
+    MIN_WINDOW_SIZE,
+    MAX_WINDOW_SIZE
+} = require('./server/spectrum');
+const { computeCorrelation, MAX_SENSORS: MAX_CORRELATION_SENSORS } = require('./server/correlation');
+const { createAuthService } = require('./server/auth');
+const { createAuthRouter } = require('./server/routes/auth');
+const { createUsersRouter } = require('./server/routes/users');
+const { createKeysRouter } = require('./server/routes/keys');
+const {
+    ValidationError,
+    sendError,
+    sendErrorResponse,
+    notFoundHandler,
+    errorHandler
+} = require('./server/httpError');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-
-// Local storage for health data
-const localDataStore = {
-    sensorData: []
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS) || 30;
+const MAX_QUERY_LIMIT = Number(process.env.MAX_QUERY_LIMIT) || 10000;
+const MAX_BATCH_SIZE = Number(process.env.MAX_BATCH_SIZE) || 1000;
+const MAX_AGGREGATE_BUCKETS = Number(process.env.MAX_AGGREGATE_BUCKETS) || 5000;
+// 'reject' answers 400 for fields outside the reading schema, 'strip' drops them
+const UNKNOWN_FIELD_POLICY = process.env.UNKNOWN_FIELD_POLICY === 'strip' ? 'strip' : 'reject';
+// AUTH_ENABLED=false treats every request as an admin; local development only
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+// Wrong passwords allowed per username and address before logins from there
+// are refused for LOGIN_LOCKOUT_MINUTES
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Readings further than this many standard deviations from a baseline are
+// flagged as anomalous
+const ANOMALY_Z_THRESHOLD = Number(process.env.ANOMALY_Z_THRESHOLD) || 4;
+const ANOMALY_WINDOW = Number(process.env.ANOMALY_WINDOW) || 60;
+// Weight of the newest reading in the EWMA baseline; about 2 / alpha
+// readings shape it, so keep it well above ANOMALY_WINDOW
+const ANOMALY_EWMA_ALPHA = Number(process.env.ANOMALY_EWMA_ALPHA) || 0.01;
+// Outgoing mail for email notification channels; email is disabled
+// without SMTP_HOST
+const SMTP = {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'shm-alerts@localhost'
 };
+const NOTIFY_RETRY_ATTEMPTS = Number(process.env.NOTIFY_RETRY_ATTEMPTS) || 3;
+const NOTIFY_DEDUPE_MINUTES = Number(process.env.NOTIFY_DEDUPE_MINUTES) || 15;
+const NOTIFY_RATE_LIMIT_PER_HOUR = Number(process.env.NOTIFY_RATE_LIMIT_PER_HOUR) || 20;
+// MQTT ingestion is off unless MQTT_URL (e.g. mqtt://broker:1883) is set.
+// MQTT_TOPICS is a comma-separated list of templates naming the device
+// segment with {deviceId}.
+const MQTT_URL = process.env.MQTT_URL;
+const MQTT_TOPICS = (process.env.MQTT_TOPICS || 'shm/{deviceId}/readings').split(',').map(topic => topic.trim());
+// SIMULATOR_PROFILE=normal|drift|spike|failure starts the simulator at boot
+// for SIMULATOR_DEVICES (comma-separated, default: every device)
+const SIMULATOR_PROFILE = process.env.SIMULATOR_PROFILE;
+const SIMULATOR_DEVICES = process.env.SIMULATOR_DEVICES;
+const SIMULATOR_INTERVAL_MS = Number(process.env.SIMULATOR_INTERVAL_MS) || 5000;
+
+// Reporting interval assumed for devices that set none and have too few
+// readings to infer one
+const DEVICE_DEFAULT_INTERVAL_SECONDS = Number(process.env.DEVICE_DEFAULT_INTERVAL_SECONDS) || 60;
+
+// Readings are stored in UTC. Structures without a time zone of their own
+// are shown in DISPLAY_TIMEZONE, an IANA name such as Europe/London.
+const DISPLAY_TIMEZONE = isTimezone(process.env.DISPLAY_TIMEZONE) ? process.env.DISPLAY_TIMEZONE : 'Asia/Kolkata';
 
-// Helper function to get IST date time
-function getISTDateTime() {
-    return new Date().toLocaleString('en-US', {
-        timeZone: 'Asia/Kolkata',
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-    }).replace(/(\d+)\/(\d+)\/(\d+)/, '$3-$1-$2');
+// Scheduled reports are off unless REPORT_SCHEDULE is daily or weekly; they
+// are written to REPORT_DIR at REPORT_HOUR o'clock (0-23) in each
+// structure's time zone, in each of REPORT_FORMATS (comma-separated pdf
+// and/or html)
+const REPORT_SCHEDULE = process.env.REPORT_SCHEDULE;
+const REPORT_DIR = process.env.REPORT_DIR || path.join(DATA_DIR, 'reports');
+const REPORT_SCHEDULE_FORMATS = (process.env.REPORT_FORMATS || 'pdf,html')
+    .split(',')
+    .map(format => format.trim())
+    .filter(format => REPORT_FORMATS[format]);
+const REPORT_HOUR = process.env.REPORT_HOUR === undefined ? 6 : Number(process.env.REPORT_HOUR);
+// With reports scheduled, a mistyped hour would silently move or break
+// every one of them
+if (REPORT_PERIODS[REPORT_SCHEDULE] && (!/^\d{1,2}$/.test(process.env.REPORT_HOUR ?? '6') || REPORT_HOUR > 23)) {
+    console.error(`REPORT_HOUR must be a whole hour from 0 to 23, got "${process.env.REPORT_HOUR}"`);
+    process.exit(1);
 }
 
+// /readyz fails once no reading has arrived for READY_MAX_INGEST_AGE_SECONDS;
+// off by default, as quiet sites can go a long time between readings
+const READY_MAX_INGEST_AGE_SECONDS = Number(process.env.READY_MAX_INGEST_AGE_SECONDS) || 0;
+// When set, /metrics requires `Authorization: Bearer <METRICS_TOKEN>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// Persistent storage for sensor readings
+const sensorStore = createSensorStore({
+    dir: path.join(DATA_DIR, 'readings'),
+    retentionDays: RETENTION_DAYS,
+    defaultDeviceId: DEFAULT_DEVICE_ID
+});
+
+// Sensor channels readings carry: name, unit, colour and valid range
+const sensorCatalog = createSensorCatalog({
+    file: path.join(DATA_DIR, 'sensors.json')
+});
+
+// Registry of sensor nodes and the structures they monitor
+const deviceRegistry = createDeviceRegistry({
+    file: path.join(DATA_DIR, 'devices.json'),
+    structuresFile: path.join(DATA_DIR, 'structures.json'),
+    sensorCatalog,
+    defaultTimezone: DISPLAY_TIMEZONE
+});
+
+// Events recorded against structures, shown on the dashboard timeline
+const annotationStore = createAnnotationStore({
+    file: path.join(DATA_DIR, 'annotations.json'),
+    deviceRegistry
+});
+
+// Last-seen times, data gaps, flatlines and out-of-range faults per device
+const deviceHealth = createDeviceHealth({
+    sensorCatalog,
+    deviceRegistry,
+    sensorStore,
+    defaultIntervalSeconds: DEVICE_DEFAULT_INTERVAL_SECONDS
+});
+
+// Email and webhook channels alert rules notify
+const notifier = createNotifier({
+    file: path.join(DATA_DIR, 'notification-channels.json'),
+    smtp: SMTP,
+    retryAttempts: NOTIFY_RETRY_ATTEMPTS,
+    dedupeMinutes: NOTIFY_DEDUPE_MINUTES,
+    rateLimitPerHour: NOTIFY_RATE_LIMIT_PER_HOUR
+});
+
+// Threshold rules evaluated against every ingested reading
+const alertEngine = createAlertEngine({
+    rulesFile: path.join(DATA_DIR, 'alert-rules.json'),
+    eventsFile: path.join(DATA_DIR, 'alert-events.json'),
+    sensorCatalog,
+    channelExists: id => !!notifier.getChannel(id)
+});
+
+// Rolling z-score and EWMA baselines every reading is scored against
+const anomalyDetector = createAnomalyDetector({
+    sensorCatalog,
+    windowSize: ANOMALY_WINDOW,
+    alpha: ANOMALY_EWMA_ALPHA,
+    zThreshold: ANOMALY_Z_THRESHOLD
+});
+
+// Dashboard users, sessions and per-device API keys
+const authService = createAuthService({
+    usersFile: path.join(DATA_DIR, 'users.json'),
+    keysFile: path.join(DATA_DIR, 'api-keys.json'),
+    sessionTtlHours: SESSION_TTL_HOURS,
+    maxLoginFailures: LOGIN_MAX_FAILURES,
+    loginLockoutMinutes: LOGIN_LOCKOUT_MINUTES,
+    deviceRegistry,
+    enabled: AUTH_ENABLED
+});
+const { requireRole, requireDeviceOrRole } = authService;
+
+// Pushes accepted readings and alert changes to connected dashboards
+const liveFeed = createLiveFeed();
+
+// Prometheus metrics
+const metrics = createMetrics({ sensorCatalog, deviceRegistry, sensorStore, liveFeed });
+
+// Validation and storage path shared by every ingestion route
+const ingestPipeline = createIngestPipeline({
+    sensorCatalog,
+    deviceRegistry,
+    sensorStore,
+    alertEngine,
+    anomalyDetector,
+    notifier,
+    deviceHealth,
+    liveFeed,
+    metrics,
+    retentionDays: RETENTION_DAYS,
+    unknownFields: UNKNOWN_FIELD_POLICY
+});
+
+// Bridges readings published over MQTT into the same ingest pipeline
+const mqttBridge = MQTT_URL
+    ? createMqttBridge({
+        url: MQTT_URL,
+        topics: MQTT_TOPICS,
+        username: process.env.MQTT_USERNAME,
+        password: process.env.MQTT_PASSWORD,
+        clientId: process.env.MQTT_CLIENT_ID,
+        ingestPipeline
+    })
+    : null;
+
+// Readiness of storage, ingestion and the MQTT bridge, behind the health
+// endpoints
+const healthCheck = createHealthCheck({
+    sensorStore,
+    metrics,
+    mqttBridge,
+    maxIngestAgeSeconds: READY_MAX_INGEST_AGE_SECONDS
+});
+
+// Generates tagged test readings through the ingest pipeline on demand
+const simulator = createSimulator({ ingestPipeline, deviceRegistry, sensorCatalog });
+
+// Inspection reports per structure, on demand and on a schedule
+const reportGenerator = createReportGenerator({
+    sensorCatalog,
+    deviceRegistry,
+    sensorStore,
+    alertEngine,
+    deviceHealth
+});
+const reportScheduler = REPORT_PERIODS[REPORT_SCHEDULE]
+    ? createReportScheduler({
+        reportGenerator,
+        deviceRegistry,
+        dir: REPORT_DIR,
+        period: REPORT_SCHEDULE,
+        formats: REPORT_SCHEDULE_FORMATS,
+        hour: REPORT_HOUR
+    })
+    : null;
+
+// Validates the ?deviceId=&from=&to=&order=&limit= filters shared by the
+// reading routes, reporting every bad parameter at once
+function parseReadingsQuery(query, { defaultLimit = 10 } = {}) {
+    const { from, to, errors } = parseTimeRange(query);
+    const { limit, errors: limitErrors } = parseLimit(query, defaultLimit);
+    const order = query.order || 'desc';
+
+    if (order !== 'asc' && order !== 'desc') {
+        errors.push({ field: 'order', code: 'invalid', message: 'must be asc or desc' });
+    }
+    errors.push(...limitErrors);
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    return {
+        deviceId: query.deviceId || undefined,
+        from,
+        to,
+        order,
+        limit: Math.min(limit, MAX_QUERY_LIMIT)
+    };
+}
+
+// Probes and scrapes arrive every few seconds; they are timed but not logged
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+app.use(metrics.requestTimer());
+
 // Logging middleware
 app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    if (QUIET_PATHS.includes(req.path)) return next();
+    const url = req.url.replace(/access_token=[^&]+/, 'access_token=***');
+    console.log(`${new Date().toISOString()} - ${req.method} ${url}`);
     next();
 });
 
 // Middleware
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
     credentials: true
 }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '5mb' }));
+app.use(authService.authenticate);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -48,149 +319,459 @@ app.get('/', (req, res) => {
 });
 
 // POST endpoint for sensor data
-app.post('/api/sensor-data', async (req, res) => {
-    console.log('Received data:', req.body);
-
-    const {
-        strain,
-        vibration,
-        displacement,
-        acceleration
-    } = req.body;
-
-    // Updated validation to properly check for undefined/null
-    if (strain === undefined || strain === null || 
-        vibration === undefined || vibration === null || 
-        displacement === undefined || displacement === null || 
-        acceleration === undefined || acceleration === null) {
-        return res.status(400).json({
-            success: false,
-            message: 'Missing required fields: strain, vibration, displacement, or acceleration'
+// Accepts a device API key (X-API-Key) or an operator session
+app.post('/api/sensor-data', requireDeviceOrRole('operator'), async (req, res) => {
+    const { errors, reading } = ingestPipeline.validate(req.body, { boundDeviceId: req.auth.deviceId });
+
+    if (!reading) {
+        return sendError(res, new ValidationError(errors));
+    }
+
+    try {
+        const { alerts } = await ingestPipeline.ingest(reading);
+
+        res.status(200).json({
+            success: true,
+            message: 'Data stored successfully',
+            latestData: reading,
+            alerts
         });
+    } catch (error) {
+        sendError(res, error, 'Error storing data');
     }
+});
 
-    const newData = {
-        strain: Number(strain),
-        vibration: Number(vibration),
-        displacement: Number(displacement),
-        acceleration: Number(acceleration),
-        timestamp: getISTDateTime(),
-        id: Date.now().toString()
-    };
+// POST endpoint for buffered readings uploaded in one go, either as an
+// array or as { readings: [...] }. Each reading needs a device-supplied
+// `timestamp`; the response reports stored/duplicate/invalid/failed per
+// item.
+app.post('/api/sensor-data/batch', requireDeviceOrRole('operator'), async (req, res) => {
+    const items = Array.isArray(req.body) ? req.body : req.body?.readings;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return sendError(res, ValidationError.field('readings', 'must be a non-empty array of readings', 'type'));
+    }
+
+    if (items.length > MAX_BATCH_SIZE) {
+        return sendErrorResponse(res, 413, `Batch too large: at most ${MAX_BATCH_SIZE} readings per request`);
+    }
 
     try {
-        // Store in local memory
-        localDataStore.sensorData.unshift(newData);
+        const results = await ingestPipeline.ingestBatch(items, { boundDeviceId: req.auth.deviceId });
+        const count = status => results.filter(result => result.status === status).length;
 
-        // Keep only latest 50 records in memory
-        if (localDataStore.sensorData.length > 50) {
-            localDataStore.sensorData = localDataStore.sensorData.slice(0, 50);
-        }
+        console.log(`Batch of ${items.length} readings: ${count('stored')} stored, ${count('duplicate')} duplicate, ${count('invalid')} invalid, ${count('failed')} failed`);
 
         res.status(200).json({
             success: true,
-            message: 'Data stored successfully in memory',
-            latestData: newData
+            summary: {
+                received: items.length,
+                stored: count('stored'),
+                duplicate: count('duplicate'),
+                invalid: count('invalid'),
+                failed: count('failed')
+            },
+            results
         });
     } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
+        sendError(res, error, 'Error storing batch');
     }
 });
 
 // GET endpoint for sensor data
-app.get('/api/sensor-data', (req, res) => {
-    const limit = parseInt(req.query.limit) || 10;
+// Supports ?from=&to= (epoch ms or ISO-8601), ?order=asc|desc,
+// ?limit=, ?cursor= (the nextCursor of a previous page) and ?deviceId=
+app.get('/api/sensor-data', requireRole('viewer'), (req, res) => {
+    try {
+        const { deviceId, from, to, order, limit } = parseReadingsQuery(req.query);
+        let page;
+
+        try {
+            page = sensorStore.query({ deviceId, from, to, order, limit, cursor: req.query.cursor });
+        } catch (error) {
+            if (error instanceof RangeError) throw ValidationError.field('cursor', error.message);
+            throw error;
+        }
+
+        res.status(200).json({
+            success: true,
+            data: page.data,
+            paging: {
+                limit,
+                order,
+                deviceId: deviceId || null,
+                from: from === undefined ? null : new Date(from).toISOString(),
+                to: to === undefined ? null : new Date(to).toISOString(),
+                count: page.data.length,
+                total: page.total,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving data');
+    }
+});
 
+// Downsampled history for trend charts: per-sensor min/max/mean and count
+// per ?interval=1m|1h|1d bucket between ?from= and ?to= (default: the last
+// 24 hours), optionally for one ?deviceId=
+app.get('/api/sensor-data/aggregate', requireRole('viewer'), (req, res) => {
     try {
-        const data = localDataStore.sensorData.slice(0, limit);
+        const interval = req.query.interval || '1h';
+        const intervalMs = INTERVALS[interval];
+        if (!intervalMs) {
+            throw ValidationError.field('interval', `must be one of ${Object.keys(INTERVALS).join(', ')}`);
+        }
+
+        const { deviceId, from: fromParam, to: toParam } = parseReadingsQuery(req.query);
+        const to = toParam === undefined ? Date.now() : toParam;
+        const from = fromParam === undefined ? to - INTERVALS['1d'] : fromParam;
+
+        if ((to - from) / intervalMs > MAX_AGGREGATE_BUCKETS) {
+            throw ValidationError.field('interval', `too fine for this range: at most ${MAX_AGGREGATE_BUCKETS} buckets`, 'range');
+        }
+
+        const { data } = sensorStore.query({ deviceId, from, to, order: 'asc', limit: sensorStore.count(deviceId) });
+
+        res.status(200).json({
+            success: true,
+            data: aggregateReadings(data, intervalMs, sensorCatalog.ids()),
+            meta: {
+                interval,
+                deviceId: deviceId || null,
+                from: new Date(from).toISOString(),
+                to: new Date(to).toISOString(),
+                readings: data.length
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Error aggregating data');
+    }
+});
+
+// Power spectral density of one device's ?sensor= (default vibration)
+// between ?from= and ?to= (default: the last hour), averaged over
+// ?window=-sample segments, with the strongest ?peaks= frequencies overall
+// and per segment for natural-frequency tracking
+app.get('/api/sensor-data/spectrum', requireRole('viewer'), (req, res) => {
+    try {
+        const errors = [];
+        const sensor = req.query.sensor || 'vibration';
+        const windowSize = req.query.window === undefined ? 256 : Number(req.query.window);
+        const peakCount = req.query.peaks === undefined ? 3 : Number(req.query.peaks);
+
+        if (!req.query.deviceId) {
+            errors.push({ field: 'deviceId', code: 'required', message: 'is required: spectra are per device' });
+        }
+        if (!sensorCatalog.get(sensor)) {
+            errors.push({ field: 'sensor', code: 'invalid', message: `must be one of ${sensorCatalog.ids().join(', ')}` });
+        }
+        if (!isPowerOfTwo(windowSize) || windowSize < MIN_WINDOW_SIZE || windowSize > MAX_WINDOW_SIZE) {
+            errors.push({
+                field: 'window',
+                code: 'invalid',
+                message: `must be a power of two between ${MIN_WINDOW_SIZE} and ${MAX_WINDOW_SIZE}`
+            });
+        }
+        if (!Number.isInteger(peakCount) || peakCount < 1 || peakCount > 10) {
+            errors.push({ field: 'peaks', code: 'invalid', message: 'must be an integer between 1 and 10' });
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        const { deviceId, from: fromParam, to: toParam } = parseReadingsQuery(req.query);
+        const to = toParam === undefined ? Date.now() : toParam;
+        const from = fromParam === undefined ? to - INTERVALS['1h'] : fromParam;
+        const { data } = sensorStore.query({ deviceId, from, to, order: 'asc', limit: sensorStore.count(deviceId) });
+
+        let spectrum;
+        try {
+            spectrum = computeSpectrum(data, { sensor, unit: sensorCatalog.get(sensor).unit, windowSize, peakCount });
+        } catch (error) {
+            if (error instanceof RangeError) throw ValidationError.field('from', error.message, 'range');
+            throw error;
+        }
+
         res.status(200).json({
             success: true,
-            data: data
+            data: spectrum,
+            meta: {
+                deviceId,
+                from: new Date(from).toISOString(),
+                to: new Date(to).toISOString(),
+                readings: data.length
+            }
         });
     } catch (error) {
-        console.error('Error fetching data:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error retrieving data'
+        sendError(res, error, 'Error computing spectrum');
+    }
+});
+
+// Correlation matrix between one device's ?sensors= (comma-separated,
+// default all, at most MAX_CORRELATION_SENSORS) between ?from= and ?to= (default: the last hour), with the
+// lagged cross-correlation of every pair for lags up to ?maxLag= seconds
+// (default 60) either way. Each pair reports the lag actually searched as
+// `maxLagSeconds`, as long ranges are averaged onto a coarser grid and the
+// number of lag steps is capped.
+app.get('/api/sensor-data/correlation', requireRole('viewer'), async (req, res) => {
+    try {
+        const errors = [];
+        const sensors = req.query.sensors === undefined
+            ? sensorCatalog.ids()
+            : String(req.query.sensors).split(',').map(sensor => sensor.trim()).filter(Boolean);
+        const maxLag = req.query.maxLag === undefined ? 60 : Number(req.query.maxLag);
+
+        if (!req.query.deviceId) {
+            errors.push({ field: 'deviceId', code: 'required', message: 'is required: correlations are per device' });
+        }
+        const unknown = sensors.filter(sensor => !sensorCatalog.get(sensor));
+        if (unknown.length > 0) {
+            errors.push({ field: 'sensors', code: 'invalid', message: `unknown sensor(s) ${unknown.join(', ')}; must be among ${sensorCatalog.ids().join(', ')}` });
+        } else if (new Set(sensors).size < 2) {
+            errors.push({ field: 'sensors', code: 'invalid', message: 'must name at least two different sensors' });
+        } else if (new Set(sensors).size > MAX_CORRELATION_SENSORS) {
+            errors.push({ field: 'sensors', code: 'invalid', message: `must name at most ${MAX_CORRELATION_SENSORS} sensors` });
+        }
+        if (!Number.isFinite(maxLag) || maxLag < 0 || maxLag > 24 * 60 * 60) {
+            errors.push({ field: 'maxLag', code: 'invalid', message: 'must be a number of seconds between 0 and 86400' });
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        const { deviceId, from: fromParam, to: toParam } = parseReadingsQuery(req.query);
+        const to = toParam === undefined ? Date.now() : toParam;
+        const from = fromParam === undefined ? to - INTERVALS['1h'] : fromParam;
+        const { data } = sensorStore.query({ deviceId, from, to, order: 'asc', limit: sensorStore.count(deviceId) });
+
+        const correlation = await computeCorrelation(data, { sensors: [...new Set(sensors)], maxLagMs: maxLag * 1000 });
+
+        res.status(200).json({
+            success: true,
+            data: correlation,
+            meta: {
+                deviceId,
+                from: new Date(from).toISOString(),
+                to: new Date(to).toISOString(),
+                readings: data.length
+            }
         });
+    } catch (error) {
+        sendError(res, error, 'Error computing correlation');
     }
 });
 
+// Server-Sent Events stream of new readings ('reading' events) and alert
+// changes ('alert' events), optionally scoped to one ?deviceId=
+app.get('/api/sensor-data/stream', requireRole('viewer'), (req, res) => {
+    liveFeed.subscribe(req, res, { deviceId: req.query.deviceId });
+});
+
 // GET endpoint for latest reading
-app.get('/api/sensor-data/latest', (req, res) => {
-    if (localDataStore.sensorData.length > 0) {
+app.get('/api/sensor-data/latest', requireRole('viewer'), (req, res) => {
+    const [latest] = sensorStore.latest(1, req.query.deviceId);
+
+    if (latest) {
         res.status(200).json({
             success: true,
-            data: localDataStore.sensorData[0]
+            data: latest
         });
     } else {
-        res.status(404).json({
-            success: false,
-            message: 'No data available'
-        });
+        sendErrorResponse(res, 404, 'No data available');
     }
 });
 
-// Endpoint to download data file
-app.get('/api/sensor-data/download', async (req, res) => {
+// Endpoint to download data
+// Supports ?format=xlsx|csv|json (default xlsx) plus the ?deviceId=, ?from=,
+// ?to= and ?order= filters of GET /api/sensor-data; the whole matching
+// window is exported and streamed straight to the client
+app.get('/api/sensor-data/download', requireRole('viewer'), async (req, res) => {
     try {
-        // Create data directory if it doesn't exist
-        const dataDir = path.join(__dirname, 'data');
-        if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
-        }
-        
-        const filePath = path.join(dataDir, 'sensor_data.xlsx');
-        
-        // Create a new Excel workbook
-        const workbook = new ExcelJS.Workbook();
-        const worksheet = workbook.addWorksheet('Sensor Data');
-        
-        // Add headers
-        worksheet.columns = [
-            { header: 'Timestamp', key: 'timestamp', width: 25 },
-            { header: 'Strain', key: 'strain', width: 15 },
-            { header: 'Vibration', key: 'vibration', width: 15 },
-            { header: 'Displacement', key: 'displacement', width: 15 },
-            { header: 'Acceleration', key: 'acceleration', width: 15 },
-            { header: 'ID', key: 'id', width: 25 }
-        ];
-        
-        // Add data rows
-        localDataStore.sensorData.forEach(data => {
-            worksheet.addRow(data);
-        });
-        
-        // Style the header row
-        worksheet.getRow(1).font = { bold: true };
-        
-        // Write to file
-        await workbook.xlsx.writeFile(filePath);
-        
-        // Send the file
-        res.download(filePath, 'sensor_data.xlsx', (err) => {
-            if (err) {
-                console.error('Error during file download:', err);
-                res.status(500).json({
-                    success: false,
-                    message: 'Error downloading file'
-                });
-            }
+        const format = req.query.format || 'xlsx';
+        if (!EXPORT_FORMATS[format]) {
+            throw ValidationError.field('format', `must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const { deviceId, from, to, order } = parseReadingsQuery(req.query);
+        const { data } = sensorStore.query({ deviceId, from, to, order, limit: sensorStore.count(deviceId) });
+        const meta = {
+            deviceId: deviceId || null,
+            from: from === undefined ? null : new Date(from).toISOString(),
+            to: to === undefined ? null : new Date(to).toISOString(),
+            count: data.length,
+            generatedAt: new Date().toISOString()
+        };
+        const filename = ['sensor_data', deviceId].filter(Boolean).join('_');
+
+        await sendExport(res, format, data, meta, filename, sensorCatalog.list());
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Error streaming export:', error);
+            return res.destroy(error);
+        }
+        sendError(res, error, 'Error generating export');
+    }
+});
+
+// Inspection report on one ?structure= as ?format=pdf|html (default pdf):
+// summary statistics, trend charts, data availability and the alert log
+// for the ?period=daily|weekly ending at ?to= (default now), or for an
+// explicit ?from=&to= window
+app.get('/api/reports', requireRole('viewer'), async (req, res) => {
+    try {
+        const errors = [];
+        const format = req.query.format || 'pdf';
+        const period = req.query.period || 'daily';
+
+        if (!req.query.structure) {
+            errors.push({ field: 'structure', code: 'required', message: 'is required: reports are per structure' });
+        }
+        if (!REPORT_FORMATS[format]) {
+            errors.push({ field: 'format', code: 'invalid', message: `must be one of ${Object.keys(REPORT_FORMATS).join(', ')}` });
+        }
+        if (!REPORT_PERIODS[period]) {
+            errors.push({ field: 'period', code: 'invalid', message: `must be one of ${Object.keys(REPORT_PERIODS).join(', ')}` });
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        const { from: fromParam, to: toParam } = parseReadingsQuery(req.query);
+        const to = toParam === undefined ? Date.now() : toParam;
+        const from = fromParam === undefined ? to - REPORT_PERIODS[period] : fromParam;
+
+        if (from >= to) {
+            throw ValidationError.field('from', 'must be before to', 'range');
+        }
+        if (to - from > MAX_REPORT_DAYS * INTERVALS['1d']) {
+            throw ValidationError.field('from', `reports cover at most ${MAX_REPORT_DAYS} days`, 'range');
+        }
+
+        const report = reportGenerator.build({ structure: req.query.structure, from, to });
+        const body = await renderReport(report, format);
+
+        res.setHeader('Content-Type', REPORT_FORMATS[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(report.structure, to, report.timezone)}.${format}"`);
+        res.status(200).send(body);
+    } catch (error) {
+        sendError(res, error, 'Error generating report');
+    }
+});
+
+// When scheduled reports run next, and what the last run wrote
+app.get('/api/reports/schedule', requireRole('admin'), (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: reportScheduler ? reportScheduler.status() : { enabled: false }
+    });
+});
+
+// Liveness probe: answers whenever the process is up. /api/health is kept
+// as an alias for monitoring set up before /healthz existed.
+app.get(['/healthz', '/api/health'], async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await healthCheck.report()
         });
     } catch (error) {
-        console.error('Error generating Excel file:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error generating Excel file'
+        sendError(res, error, 'Error checking health');
+    }
+});
+
+// Readiness probe: 503 while readings cannot be stored, the MQTT bridge is
+// disconnected, or readings have stopped arriving (see
+// READY_MAX_INGEST_AGE_SECONDS)
+app.get('/readyz', async (req, res) => {
+    try {
+        const health = await healthCheck.report();
+        res.status(health.ready ? 200 : 503).json({
+            success: health.ready,
+            data: health
         });
+    } catch (error) {
+        sendError(res, error, 'Error checking readiness');
+    }
+});
+
+// Compares a presented credential in constant time, so response timing
+// reveals neither how much of it was right nor its length. Both sides are
+// hashed first to give timingSafeEqual buffers of equal length.
+function tokenMatches(presented, expected) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(presented || ''), digest(expected));
+}
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+    if (METRICS_TOKEN && !tokenMatches(req.get('Authorization'), `Bearer ${METRICS_TOKEN}`)) {
+        return sendErrorResponse(res, 401, 'A valid metrics token is required');
+    }
+
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.render());
+    } catch (error) {
+        sendError(res, error, 'Error collecting metrics');
     }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Login and account management routes
+app.use('/api/auth', createAuthRouter({ authService }));
+app.use('/api/users', requireRole('admin'), createUsersRouter({ authService }));
+app.use('/api/keys', requireRole('admin'), createKeysRouter({ authService }));
+
+// Device registry routes
+app.use('/api/devices', createDevicesRouter({ deviceRegistry, sensorStore, sensorCatalog, deviceHealth, requireRole }));
+app.use('/api/structures', createStructuresRouter({ deviceRegistry, requireRole }));
+
+// Sensor catalog routes
+app.use('/api/sensors', createSensorsRouter({ sensorCatalog, alertEngine, requireRole }));
+
+// Timeline annotation routes
+app.use('/api/annotations', createAnnotationsRouter({ annotationStore, requireRole }));
+
+// Alert history and rule routes
+app.use('/api/alerts', createAlertsRouter({ alertEngine, requireRole }));
+app.use('/api/thresholds', createThresholdsRouter({ alertEngine, requireRole }));
+app.use('/api/notifications', requireRole('admin'), createNotificationsRouter({ notifier, alertEngine }));
+
+// Simulated data for demos and testing
+app.use('/api/simulator', createSimulatorRouter({ simulator, requireRole }));
+
+// Consistent JSON errors for unknown routes, bad bodies and anything uncaught
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Start server once the registry and stored readings have been loaded
+Promise.all([sensorCatalog.load(), deviceRegistry.load(), annotationStore.load(), sensorStore.load(), alertEngine.load(), notifier.load()])
+    .then(() => {
+        // Rebuild the anomaly baselines from each device's recent history
+        deviceRegistry.list().forEach(device => {
+            anomalyDetector.warmUp(sensorStore.latest(ANOMALY_WINDOW * 10, device.id).reverse());
+        });
+    })
+    .then(() => authService.load({
+        adminUsername: process.env.ADMIN_USERNAME,
+        adminPassword: process.env.ADMIN_PASSWORD
+    }))
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`Server running on http://localhost:${PORT}`);
+        });
+        if (mqttBridge) mqttBridge.start();
+        if (reportScheduler) reportScheduler.start();
+        if (SIMULATOR_PROFILE) {
+            simulator.start({
+                profile: SIMULATOR_PROFILE,
+                deviceIds: SIMULATOR_DEVICES ? SIMULATOR_DEVICES.split(',').map(id => id.trim()) : undefined,
+                intervalMs: SIMULATOR_INTERVAL_MS
+            });
+        }
+    })
+    .catch(error => {
+        console.error('Failed to load server data:', error);
+        process.exit(1);
+    });
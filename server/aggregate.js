@@ -0,0 +1,65 @@
+const INTERVALS = {
+    '1m': 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+// Groups time-ordered readings into fixed UTC-aligned buckets of
+// `intervalMs` and returns, for each of `sensors` (ids), min/max/mean, the
+// number of values and the number of readings flagged as anomalous for
+// that sensor, plus the reading count. A sensor without values in a bucket
+// is null there. Buckets without readings are omitted.
+function aggregateReadings(readings, intervalMs, sensors) {
+    const buckets = [];
+    let current = null;
+
+    readings.forEach(reading => {
+        const start = Math.floor(reading.receivedAt / intervalMs) * intervalMs;
+
+        if (!current || current.start !== start) {
+            current = { start, count: 0, sums: {}, stats: {} };
+            sensors.forEach(sensor => {
+                current.sums[sensor] = 0;
+                current.stats[sensor] = { min: Infinity, max: -Infinity, count: 0, anomalies: 0 };
+            });
+            buckets.push(current);
+        }
+
+        // Readings stored before anomaly scoring have no `anomaly` record
+        const violations = reading.anomaly ? reading.anomaly.violations : [];
+
+        current.count += 1;
+        sensors.forEach(sensor => {
+            const value = reading[sensor];
+            if (typeof value !== 'number') return;
+
+            const stats = current.stats[sensor];
+            stats.count += 1;
+            if (value < stats.min) stats.min = value;
+            if (value > stats.max) stats.max = value;
+            if (violations.some(violation => violation.sensor === sensor)) stats.anomalies += 1;
+            current.sums[sensor] += value;
+        });
+    });
+
+    return buckets.map(bucket => {
+        const result = {
+            start: new Date(bucket.start).toISOString(),
+            end: new Date(bucket.start + intervalMs).toISOString(),
+            count: bucket.count
+        };
+        sensors.forEach(sensor => {
+            const stats = bucket.stats[sensor];
+            result[sensor] = stats.count === 0 ? null : {
+                min: stats.min,
+                max: stats.max,
+                mean: bucket.sums[sensor] / stats.count,
+                count: stats.count,
+                anomalies: stats.anomalies
+            };
+        });
+        return result;
+    });
+}
+
+module.exports = { aggregateReadings, INTERVALS };
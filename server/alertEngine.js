@@ -0,0 +1,416 @@
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+const { HttpError, ValidationError } = require('./httpError');
+
+const RULE_TYPES = ['above', 'below', 'rate-of-change'];
+const SEVERITIES = ['warning', 'critical'];
+const MAX_STORED_EVENTS = 5000;
+
+// Per-sensor warning/critical thresholds are kept as ordinary "above" rules
+// with well-known ids, so they are evaluated like any other rule
+function thresholdRule(sensor, severity, threshold, existing = {}) {
+    return {
+        id: `${sensor}-${severity}`,
+        name: `${sensor[0].toUpperCase()}${sensor.slice(1)} ${severity} above ${threshold}`,
+        sensor,
+        deviceId: null,
+        type: 'above',
+        threshold,
+        sustainedFor: existing.sustainedFor ?? 1,
+        severity,
+        enabled: existing.enabled ?? true,
+        channels: existing.channels ?? []
+    };
+}
+
+// The thresholds the dashboard used to check in the browser
+const DEFAULT_RULES = [
+    thresholdRule('strain', 'warning', 1000),
+    thresholdRule('vibration', 'warning', 500),
+    thresholdRule('displacement', 'warning', 100),
+    thresholdRule('acceleration', 'warning', 200)
+];
+
+function eventStatus(event) {
+    if (event.clearedAt) return 'cleared';
+    if (event.acknowledgedAt) return 'acknowledged';
+    return 'active';
+}
+
+// Validates a full rule, filling in defaults for optional fields.
+// `sensors` are the catalog sensor ids; `channelExists` checks the
+// notification channel ids a rule lists.
+function normalizeRule(input, sensors, channelExists) {
+    const rule = {
+        name: input.name,
+        sensor: input.sensor,
+        deviceId: input.deviceId || null,
+        type: input.type,
+        threshold: input.threshold,
+        sustainedFor: input.sustainedFor === undefined ? 1 : input.sustainedFor,
+        severity: input.severity || 'warning',
+        enabled: input.enabled === undefined ? true : input.enabled,
+        channels: input.channels === undefined ? [] : input.channels
+    };
+
+    if (!sensors.includes(rule.sensor)) {
+        throw ValidationError.field('sensor', `Rule sensor must be one of ${sensors.join(', ')}`);
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+        throw ValidationError.field('type', `Rule type must be one of ${RULE_TYPES.join(', ')}`);
+    }
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+        throw ValidationError.field('threshold', 'Rule threshold must be a finite number');
+    }
+    if (!Number.isInteger(rule.sustainedFor) || rule.sustainedFor < 1) {
+        throw ValidationError.field('sustainedFor', 'Rule sustainedFor must be a positive integer');
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        throw ValidationError.field('severity', `Rule severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (typeof rule.enabled !== 'boolean') {
+        throw ValidationError.field('enabled', 'Rule enabled must be a boolean');
+    }
+    if (rule.deviceId !== null && typeof rule.deviceId !== 'string') {
+        throw ValidationError.field('deviceId', 'Rule deviceId must be a string');
+    }
+    if (!Array.isArray(rule.channels) || !rule.channels.every(id => typeof id === 'string')) {
+        throw ValidationError.field('channels', 'Rule channels must be an array of notification channel ids');
+    }
+    const unknown = rule.channels.find(id => !channelExists(id));
+    if (unknown) {
+        throw ValidationError.field('channels', `Unknown notification channel ${unknown}`, 'unknown');
+    }
+    if (!rule.name) {
+        rule.name = `${rule.sensor} ${rule.type} ${rule.threshold}`;
+    }
+
+    return rule;
+}
+
+// Server-side threshold alerting.
+//
+// Every ingested reading is checked against the configured rules. A rule
+// fires once its condition holds for `sustainedFor` consecutive readings of
+// a device, which opens an alert event; the event is cleared by the first
+// reading that no longer breaches. Rules and the event history are each
+// persisted as a JSON document. Rules watch sensors of `sensorCatalog` and
+// may name notification channels, checked with `channelExists`.
+function createAlertEngine({ rulesFile, eventsFile, sensorCatalog, channelExists = () => false }) {
+    const rulesDocument = createJsonFile(rulesFile, { rules: DEFAULT_RULES });
+    const eventsDocument = createJsonFile(eventsFile, { events: [] });
+
+    // Per rule+device evaluation state: consecutive breaches, the previous
+    // reading (for rate-of-change) and the id of the open event, if any
+    const state = new Map();
+
+    function rules() {
+        return rulesDocument.get().rules;
+    }
+
+    function events() {
+        return eventsDocument.get().events;
+    }
+
+    function stateFor(ruleId, deviceId) {
+        const key = `${ruleId}:${deviceId}`;
+        if (!state.has(key)) {
+            state.set(key, { breaches: 0, previous: null, openEventId: null });
+        }
+        return state.get(key);
+    }
+
+    async function load() {
+        await Promise.all([rulesDocument.load(), eventsDocument.load()]);
+
+        // Reattach events left open by the previous run so they can clear
+        events()
+            .filter(event => !event.clearedAt)
+            .forEach(event => {
+                stateFor(event.ruleId, event.deviceId).openEventId = event.id;
+            });
+    }
+
+    function isBreach(rule, reading, previous) {
+        const value = reading[rule.sensor];
+        // A reading without this (optional) sensor neither breaches nor
+        // clears the rule
+        if (typeof value !== 'number') return null;
+
+        switch (rule.type) {
+            case 'above':
+                return value > rule.threshold;
+            case 'below':
+                return value < rule.threshold;
+            case 'rate-of-change': {
+                if (!previous) return false;
+                const seconds = (reading.receivedAt - previous.receivedAt) / 1000;
+                if (seconds <= 0) return false;
+                return Math.abs(value - previous[rule.sensor]) / seconds > rule.threshold;
+            }
+            default:
+                return false;
+        }
+    }
+
+    function saveEvents(list) {
+        return eventsDocument.save({ events: list.slice(-MAX_STORED_EVENTS) });
+    }
+
+    // Checks one reading against every applicable rule and returns the
+    // events it opened and cleared. Events are timed by the reading, so
+    // backfilled readings give alerts at the time the data describes.
+    async function evaluate(reading) {
+        const opened = [];
+        const cleared = [];
+        const updates = new Map();
+        const readingTime = new Date(reading.receivedAt).toISOString();
+
+        rules()
+            .filter(rule => rule.enabled && (!rule.deviceId || rule.deviceId === reading.deviceId))
+            .forEach(rule => {
+                const ruleState = stateFor(rule.id, reading.deviceId);
+                const breach = isBreach(rule, reading, ruleState.previous);
+                if (breach === null) return;
+                ruleState.previous = reading;
+
+                if (!breach) {
+                    ruleState.breaches = 0;
+                    if (ruleState.openEventId) {
+                        updates.set(ruleState.openEventId, { clearedAt: readingTime });
+                        ruleState.openEventId = null;
+                    }
+                    return;
+                }
+
+                ruleState.breaches += 1;
+                if (ruleState.openEventId || ruleState.breaches < rule.sustainedFor) return;
+
+                const event = {
+                    id: crypto.randomUUID(),
+                    ruleId: rule.id,
+                    ruleName: rule.name,
+                    deviceId: reading.deviceId,
+                    sensor: rule.sensor,
+                    type: rule.type,
+                    severity: rule.severity,
+                    threshold: rule.threshold,
+                    value: reading[rule.sensor],
+                    readingId: reading.id,
+                    startedAt: readingTime,
+                    acknowledgedAt: null,
+                    acknowledgedBy: null,
+                    clearedAt: null
+                };
+                ruleState.openEventId = event.id;
+                opened.push(event);
+            });
+
+        if (opened.length === 0 && updates.size === 0) {
+            return { opened, cleared };
+        }
+
+        const next = events().map(event => {
+            if (!updates.has(event.id)) return event;
+            const updated = { ...event, ...updates.get(event.id) };
+            cleared.push(updated);
+            return updated;
+        });
+        await saveEvents([...next, ...opened]);
+
+        return { opened, cleared };
+    }
+
+    // Newest events first, optionally filtered by status ('open' matches
+    // both active and acknowledged events) and device
+    function listEvents({ status, deviceId, limit = 100 } = {}) {
+        return events()
+            .filter(event => {
+                if (deviceId && event.deviceId !== deviceId) return false;
+                if (!status) return true;
+                const current = eventStatus(event);
+                return status === 'open' ? current !== 'cleared' : current === status;
+            })
+            .slice(-limit)
+            .reverse()
+            .map(event => ({ ...event, status: eventStatus(event) }));
+    }
+
+    async function acknowledge(id, by) {
+        const existing = events().find(event => event.id === id);
+        if (!existing) {
+            throw new HttpError(404, `Alert ${id} not found`);
+        }
+        if (existing.acknowledgedAt) {
+            return { ...existing, status: eventStatus(existing) };
+        }
+
+        const updated = {
+            ...existing,
+            acknowledgedAt: new Date().toISOString(),
+            acknowledgedBy: by || null
+        };
+        await saveEvents(events().map(event => (event.id === id ? updated : event)));
+        return { ...updated, status: eventStatus(updated) };
+    }
+
+    function getRule(id) {
+        return rules().find(rule => rule.id === id) || null;
+    }
+
+    async function createRule(input) {
+        const rule = { id: crypto.randomUUID(), ...normalizeRule(input, sensorCatalog.ids(), channelExists) };
+        await rulesDocument.save({ rules: [...rules(), rule] });
+        return rule;
+    }
+
+    async function updateRule(id, input) {
+        const existing = getRule(id);
+        if (!existing) {
+            throw new HttpError(404, `Alert rule ${id} not found`);
+        }
+
+        const rule = { id, ...normalizeRule({ ...existing, ...input }, sensorCatalog.ids(), channelExists) };
+        await rulesDocument.save({
+            rules: rules().map(item => (item.id === id ? rule : item))
+        });
+
+        // Changed conditions start counting afresh
+        state.forEach((ruleState, key) => {
+            if (key.startsWith(`${id}:`)) ruleState.breaches = 0;
+        });
+        return rule;
+    }
+
+    async function removeRule(id) {
+        if (!getRule(id)) {
+            throw new HttpError(404, `Alert rule ${id} not found`);
+        }
+        await rulesDocument.save({ rules: rules().filter(rule => rule.id !== id) });
+        await retireRules([id]);
+    }
+
+    // Drops a deleted notification channel from every rule naming it
+    async function detachChannel(channelId) {
+        if (!rules().some(rule => (rule.channels || []).includes(channelId))) return;
+        await rulesDocument.save({
+            rules: rules().map(rule => ({
+                ...rule,
+                channels: (rule.channels || []).filter(id => id !== channelId)
+            }))
+        });
+    }
+
+    // Deletes every rule on a sensor removed from the catalog
+    async function removeSensorRules(sensor) {
+        const ids = rules().filter(rule => rule.sensor === sensor).map(rule => rule.id);
+        if (ids.length === 0) return;
+        await rulesDocument.save({ rules: rules().filter(rule => !ids.includes(rule.id)) });
+        await retireRules(ids);
+    }
+
+    // Nothing will evaluate removed rules any more, so close their open
+    // events and drop their evaluation state
+    async function retireRules(ids) {
+        const clearedAt = new Date().toISOString();
+        await saveEvents(events().map(event => (
+            ids.includes(event.ruleId) && !event.clearedAt ? { ...event, clearedAt } : event
+        )));
+        state.forEach((ruleState, key) => {
+            if (ids.some(id => key.startsWith(`${id}:`))) state.delete(key);
+        });
+    }
+
+    // { [sensor]: { warning, critical } }, null where no threshold is set
+    function thresholds() {
+        const result = {};
+        sensorCatalog.ids().forEach(sensor => {
+            result[sensor] = {};
+            SEVERITIES.forEach(severity => {
+                const rule = getRule(`${sensor}-${severity}`);
+                result[sensor][severity] = rule ? rule.threshold : null;
+            });
+        });
+        return result;
+    }
+
+    // Applies a partial { [sensor]: { warning, critical } } update; a null
+    // threshold removes that level
+    async function setThresholds(input) {
+        const current = thresholds();
+        const sensors = sensorCatalog.ids();
+
+        Object.entries(input).forEach(([sensor, levels]) => {
+            if (!sensors.includes(sensor)) {
+                throw ValidationError.field(sensor, `Unknown sensor ${sensor}: use one of ${sensors.join(', ')}`);
+            }
+            if (!levels || typeof levels !== 'object') {
+                throw ValidationError.field(sensor, `Thresholds for ${sensor} must be an object`);
+            }
+
+            SEVERITIES.forEach(severity => {
+                const value = levels[severity];
+                if (value === undefined) return;
+                if (value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+                    throw ValidationError.field(`${sensor}.${severity}`, `${sensor}.${severity} must be a finite number or null`);
+                }
+                current[sensor][severity] = value;
+            });
+
+            const { warning, critical } = current[sensor];
+            if (warning !== null && critical !== null && critical <= warning) {
+                throw ValidationError.field(`${sensor}.critical`, `${sensor}.critical must be greater than ${sensor}.warning`);
+            }
+        });
+
+        const removed = [];
+        const changed = [];
+        let next = [...rules()];
+
+        sensors.forEach(sensor => {
+            SEVERITIES.forEach(severity => {
+                const id = `${sensor}-${severity}`;
+                const value = current[sensor][severity];
+                const existing = getRule(id);
+
+                if (value === null) {
+                    if (existing) removed.push(id);
+                    next = next.filter(rule => rule.id !== id);
+                } else if (!existing) {
+                    next.push(thresholdRule(sensor, severity, value));
+                } else if (existing.threshold !== value) {
+                    changed.push(id);
+                    next = next.map(rule => (rule.id === id ? thresholdRule(sensor, severity, value, rule) : rule));
+                }
+            });
+        });
+
+        await rulesDocument.save({ rules: next });
+        if (removed.length > 0) {
+            await retireRules(removed);
+        }
+        state.forEach((ruleState, key) => {
+            if (changed.some(id => key.startsWith(`${id}:`))) ruleState.breaches = 0;
+        });
+
+        return thresholds();
+    }
+
+    return {
+        load,
+        evaluate,
+        listEvents,
+        acknowledge,
+        rules,
+        getRule,
+        createRule,
+        updateRule,
+        removeRule,
+        detachChannel,
+        removeSensorRules,
+        thresholds,
+        setThresholds
+    };
+}
+
+module.exports = { createAlertEngine };
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+const { HttpError, ValidationError } = require('./httpError');
+
+const CATEGORIES = ['load-test', 'maintenance', 'inspection', 'earthquake', 'weather', 'other'];
+const MAX_TEXT_LENGTH = 2000;
+
+// Times may be epoch milliseconds or ISO-8601 strings; stored as UTC ISO
+function parseTime(field, value) {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if ((typeof value !== 'number' && typeof value !== 'string') || !Number.isFinite(time)) {
+        throw ValidationError.field(field, 'must be epoch milliseconds or an ISO-8601 date', 'type');
+    }
+    return new Date(time).toISOString();
+}
+
+// Validates a full annotation, filling in defaults for optional fields.
+// `end` is null for an instant and otherwise must not precede `start`.
+function normalizeAnnotation(input, structures) {
+    const annotation = {
+        structure: input.structure,
+        category: input.category || 'other',
+        text: input.text,
+        start: parseTime('start', input.start),
+        end: input.end === undefined || input.end === null ? null : parseTime('end', input.end)
+    };
+
+    if (!structures.includes(annotation.structure)) {
+        throw ValidationError.field('structure', 'must be a structure a registered device is on', 'unknown');
+    }
+    if (!CATEGORIES.includes(annotation.category)) {
+        throw ValidationError.field('category', `must be one of ${CATEGORIES.join(', ')}`);
+    }
+    if (typeof annotation.text !== 'string' || !annotation.text.trim()) {
+        throw ValidationError.field('text', 'Annotation text is required');
+    }
+    annotation.text = annotation.text.trim();
+    if (annotation.text.length > MAX_TEXT_LENGTH) {
+        throw ValidationError.field('text', `must be at most ${MAX_TEXT_LENGTH} characters`, 'range');
+    }
+    if (annotation.end !== null && annotation.end < annotation.start) {
+        throw ValidationError.field('end', 'must not be before start', 'range');
+    }
+
+    return annotation;
+}
+
+// Log of events on a structure (load tests, maintenance visits,
+// earthquakes, ...) recorded next to the sensor data, each at an instant
+// or over a time range, persisted as a JSON document
+function createAnnotationStore({ file, deviceRegistry }) {
+    const document = createJsonFile(file, { annotations: [] });
+
+    function annotations() {
+        return document.get().annotations;
+    }
+
+    async function load() {
+        await document.load();
+    }
+
+    function get(id) {
+        return annotations().find(annotation => annotation.id === id) || null;
+    }
+
+    // Annotations overlapping `from`..`to` (epoch milliseconds), oldest
+    // first
+    function list({ structure, category, from, to } = {}) {
+        return annotations()
+            .filter(annotation => !structure || annotation.structure === structure)
+            .filter(annotation => !category || annotation.category === category)
+            .filter(annotation => to === undefined || Date.parse(annotation.start) <= to)
+            .filter(annotation => from === undefined || Date.parse(annotation.end || annotation.start) >= from)
+            .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+    }
+
+    async function create(input, author) {
+        const now = new Date().toISOString();
+        const annotation = {
+            id: crypto.randomUUID(),
+            ...normalizeAnnotation(input, deviceRegistry.structures()),
+            author,
+            createdAt: now,
+            updatedAt: now
+        };
+        await document.save({ annotations: [...annotations(), annotation] });
+        return annotation;
+    }
+
+    // Partial update; the author stays the user who created it
+    async function update(id, input) {
+        const existing = get(id);
+        if (!existing) {
+            throw new HttpError(404, `Annotation ${id} not found`);
+        }
+
+        const annotation = {
+            ...existing,
+            ...normalizeAnnotation({ ...existing, ...input }, deviceRegistry.structures()),
+            updatedAt: new Date().toISOString()
+        };
+        await document.save({
+            annotations: annotations().map(item => (item.id === id ? annotation : item))
+        });
+        return annotation;
+    }
+
+    async function remove(id) {
+        if (!get(id)) {
+            throw new HttpError(404, `Annotation ${id} not found`);
+        }
+        await document.save({ annotations: annotations().filter(annotation => annotation.id !== id) });
+    }
+
+    return {
+        load,
+        get,
+        list,
+        create,
+        update,
+        remove
+    };
+}
+
+module.exports = { createAnnotationStore, CATEGORIES };
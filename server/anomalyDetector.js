@@ -0,0 +1,135 @@
+// Below this spread a baseline is treated as flat and gives no score, so a
+// sensor stuck on one value does not flag every later change as infinite
+const MIN_STD = 1e-9;
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Mean and standard deviation of the last `size` values
+function createRollingBaseline(size) {
+    const values = [];
+    let sum = 0;
+    let sumSquares = 0;
+
+    return {
+        ready: minSamples => values.length >= minSamples,
+        stats() {
+            const mean = sum / values.length;
+            return { mean, std: Math.sqrt(Math.max(sumSquares / values.length - mean * mean, 0)) };
+        },
+        add(value) {
+            values.push(value);
+            sum += value;
+            sumSquares += value * value;
+            if (values.length > size) {
+                const dropped = values.shift();
+                sum -= dropped;
+                sumSquares -= dropped * dropped;
+            }
+        }
+    };
+}
+
+// Exponentially weighted mean and variance; `alpha` is the weight of the
+// newest value, so the baseline follows slow drift but not sudden jumps.
+// Its memory is roughly 2 / alpha values.
+function createEwmaBaseline(alpha) {
+    let count = 0;
+    let mean = 0;
+    let variance = 0;
+
+    return {
+        ready: minSamples => count >= minSamples,
+        stats: () => ({ mean, std: Math.sqrt(variance) }),
+        add(value) {
+            if (count === 0) {
+                mean = value;
+            } else {
+                const diff = value - mean;
+                mean += alpha * diff;
+                variance = (1 - alpha) * (variance + alpha * diff * diff);
+            }
+            count += 1;
+        }
+    };
+}
+
+// Scores every reading against two baselines per device and sensor: a
+// rolling z-score over the last `windowSize` readings, which catches sudden
+// spikes, and an EWMA baseline, which catches drift away from the longer
+// term level; the default `alpha` gives it a memory of about 200 readings,
+// well beyond the rolling window. A reading is flagged when any sensor deviates from either
+// baseline by more than `zThreshold` standard deviations. Every sensor of
+// `sensorCatalog` the reading carries is scored. Baselines live in memory
+// and are rebuilt from stored readings on startup via `warmUp`.
+function createAnomalyDetector({ sensorCatalog, windowSize = 60, alpha = 0.01, zThreshold = 4, minSamples = 30 }) {
+    const baselines = new Map();
+
+    function baselinesFor(deviceId, sensor) {
+        const key = `${deviceId}:${sensor}`;
+        if (!baselines.has(key)) {
+            baselines.set(key, {
+                rolling: createRollingBaseline(windowSize),
+                ewma: createEwmaBaseline(alpha)
+            });
+        }
+        return baselines.get(key);
+    }
+
+    // Returns the anomaly record stored with the reading:
+    // { score, flagged, scores: { [sensor]: |z| }, violations: [{ sensor,
+    // baseline, value, mean, std, z }] }. Scores are null until a baseline
+    // has seen `minSamples` readings of the device. The reading then becomes
+    // part of the baselines.
+    function score(reading) {
+        const scores = {};
+        const violations = [];
+        let overall = null;
+
+        sensorCatalog.ids().forEach(sensor => {
+            const value = reading[sensor];
+            if (typeof value !== 'number') return;
+
+            const sensorBaselines = baselinesFor(reading.deviceId, sensor);
+            scores[sensor] = null;
+
+            Object.entries(sensorBaselines).forEach(([name, baseline]) => {
+                if (!baseline.ready(minSamples)) return;
+
+                const { mean, std } = baseline.stats();
+                if (std < MIN_STD) return;
+
+                const z = (value - mean) / std;
+                const magnitude = Math.abs(z);
+                if (scores[sensor] === null || magnitude > scores[sensor]) scores[sensor] = round(magnitude);
+                if (overall === null || magnitude > overall) overall = round(magnitude);
+                if (magnitude > zThreshold) {
+                    violations.push({ sensor, baseline: name, value, mean: round(mean), std: round(std), z: round(z) });
+                }
+            });
+
+            sensorBaselines.rolling.add(value);
+            sensorBaselines.ewma.add(value);
+        });
+
+        return { score: overall, flagged: violations.length > 0, scores, violations };
+    }
+
+    // Feeds stored readings (oldest first) into the baselines without
+    // scoring them
+    function warmUp(readings) {
+        readings.forEach(reading => {
+            sensorCatalog.ids().forEach(sensor => {
+                if (typeof reading[sensor] !== 'number') return;
+                const sensorBaselines = baselinesFor(reading.deviceId, sensor);
+                sensorBaselines.rolling.add(reading[sensor]);
+                sensorBaselines.ewma.add(reading[sensor]);
+            });
+        });
+    }
+
+    return { score, warmUp };
+}
+
+module.exports = { createAnomalyDetector };
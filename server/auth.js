@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+const { HttpError, ValidationError, sendError } = require('./httpError');
+const { validateTimezone } = require('./timezones');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_PREFIX = 'shm_';
+const ANONYMOUS_ADMIN = { id: 'anonymous', username: 'anonymous', role: 'admin' };
+// How often expired sessions and login failures are dropped from memory
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = stored.split(':');
+    const candidate = Buffer.from(hashPassword(password, salt).split(':')[1], 'hex');
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// API keys are only ever stored hashed; the plain key is shown once
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function publicKey(key) {
+    const { hash, ...rest } = key;
+    return rest;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw ValidationError.field('password', `must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw ValidationError.field('role', `must be one of ${ROLES.join(', ')}`);
+    }
+}
+
+// Dashboard users with viewer/operator/admin roles, their login sessions,
+// and the per-device API keys sensor nodes use to ingest readings.
+//
+// Users log in for a bearer token (sessions live in memory, so a restart
+// logs everyone out). After `maxLoginFailures` wrong passwords for one
+// username from one address, further attempts from there are refused for
+// `loginLockoutMinutes`. Both documents are persisted as JSON. With
+// `enabled` false every request is treated as an admin, for local
+// development only.
+function createAuthService({
+    usersFile,
+    keysFile,
+    sessionTtlHours = 12,
+    maxLoginFailures = 5,
+    loginLockoutMinutes = 15,
+    deviceRegistry,
+    enabled = true
+}) {
+    const usersDocument = createJsonFile(usersFile, { users: [] });
+    const keysDocument = createJsonFile(keysFile, { keys: [] });
+    const sessions = new Map();
+    // `${username}|${ip}` -> { count, firstAt } of recent failed logins
+    const loginFailures = new Map();
+    let sweepTimer = null;
+
+    function users() {
+        return usersDocument.get().users;
+    }
+
+    function keys() {
+        return keysDocument.get().keys;
+    }
+
+    // With no users yet, create the first admin from ADMIN_USERNAME /
+    // ADMIN_PASSWORD, or with a generated password printed once
+    async function load({ adminUsername = 'admin', adminPassword } = {}) {
+        await Promise.all([usersDocument.load(), keysDocument.load()]);
+
+        if (users().length === 0) {
+            const password = adminPassword || crypto.randomBytes(12).toString('base64url');
+            await createUser({ username: adminUsername, password, role: 'admin' });
+            if (!adminPassword) {
+                console.log(`Created initial admin user "${adminUsername}" with password: ${password}`);
+            }
+        }
+
+        // Sessions are otherwise only dropped when their token is next
+        // presented, which an abandoned one never is
+        if (!sweepTimer) {
+            sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+            sweepTimer.unref();
+        }
+    }
+
+    function sweep() {
+        const now = Date.now();
+        sessions.forEach((session, token) => {
+            if (session.expiresAt < now) sessions.delete(token);
+        });
+        loginFailures.forEach((failures, key) => {
+            if (now - failures.firstAt >= loginLockoutMinutes * 60 * 1000) loginFailures.delete(key);
+        });
+    }
+
+    function close() {
+        if (sweepTimer) clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+
+    async function createUser({ username, password, role = 'viewer' }) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw ValidationError.field('username', 'must be 3-32 letters, digits, dots, dashes or underscores');
+        }
+        if (users().some(user => user.username === username)) {
+            throw new HttpError(409, `User ${username} already exists`);
+        }
+        validatePassword(password);
+        validateRole(role);
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            role,
+            passwordHash: hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        await usersDocument.save({ users: [...users(), user] });
+        return publicUser(user);
+    }
+
+    // Without an admin nobody could manage users any more
+    function isLastAdmin(user) {
+        return user.role === 'admin' && users().filter(item => item.role === 'admin').length === 1;
+    }
+
+    // `timezone` is the zone the user's dashboard shows times in; null
+    // follows the structure being viewed
+    async function updateUser(id, { password, role, timezone }) {
+        const existing = users().find(user => user.id === id);
+        if (!existing) {
+            throw new HttpError(404, `User ${id} not found`);
+        }
+
+        const updated = { ...existing };
+        if (password !== undefined) {
+            validatePassword(password);
+            updated.passwordHash = hashPassword(password);
+        }
+        if (role !== undefined) {
+            validateRole(role);
+            if (role !== 'admin' && isLastAdmin(existing)) {
+                throw new HttpError(409, 'Cannot change the role of the last admin user');
+            }
+            updated.role = role;
+        }
+        if (timezone !== undefined) {
+            updated.timezone = validateTimezone('timezone', timezone);
+        }
+
+        await usersDocument.save({ users: users().map(user => (user.id === id ? updated : user)) });
+        return publicUser(updated);
+    }
+
+    async function removeUser(id) {
+        const existing = users().find(user => user.id === id);
+        if (!existing) {
+            throw new HttpError(404, `User ${id} not found`);
+        }
+        if (isLastAdmin(existing)) {
+            throw new HttpError(409, 'Cannot delete the last admin user');
+        }
+
+        await usersDocument.save({ users: users().filter(user => user.id !== id) });
+        sessions.forEach((session, token) => {
+            if (session.userId === id) sessions.delete(token);
+        });
+    }
+
+    function listUsers() {
+        return users().map(publicUser);
+    }
+
+    // Failures are counted per username and client address, so guessing at
+    // one account is slowed without locking its owner out everywhere
+    function login(username, password, { ip = '' } = {}) {
+        const failureKey = `${username}|${ip}`;
+        const now = Date.now();
+        let failures = loginFailures.get(failureKey);
+        if (failures && now - failures.firstAt >= loginLockoutMinutes * 60 * 1000) {
+            loginFailures.delete(failureKey);
+            failures = null;
+        }
+        if (failures && failures.count >= maxLoginFailures) {
+            const minutes = Math.ceil((failures.firstAt + loginLockoutMinutes * 60 * 1000 - now) / 60000);
+            throw new HttpError(429, `Too many failed logins; try again in ${minutes} minute(s)`);
+        }
+
+        const user = users().find(item => item.username === username);
+        if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+            if (failures) failures.count += 1;
+            else loginFailures.set(failureKey, { count: 1, firstAt: now });
+            throw new HttpError(401, 'Invalid username or password');
+        }
+        loginFailures.delete(failureKey);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + sessionTtlHours * 60 * 60 * 1000;
+        sessions.set(token, { userId: user.id, expiresAt });
+
+        return { token, expiresAt: new Date(expiresAt).toISOString(), user: publicUser(user) };
+    }
+
+    function logout(token) {
+        sessions.delete(token);
+    }
+
+    function userForToken(token) {
+        const session = sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt < Date.now()) {
+            sessions.delete(token);
+            return null;
+        }
+        return users().find(user => user.id === session.userId) || null;
+    }
+
+    async function createKey({ deviceId, name }) {
+        if (typeof deviceId !== 'string' || !deviceRegistry.get(deviceId)) {
+            throw ValidationError.field('deviceId', 'must be a registered device', 'unknown');
+        }
+
+        const plainKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const key = {
+            id: crypto.randomUUID(),
+            deviceId,
+            name: typeof name === 'string' && name.trim() ? name.trim() : `${deviceId} key`,
+            prefix: plainKey.slice(0, API_KEY_PREFIX.length + 6),
+            hash: hashApiKey(plainKey),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+        await keysDocument.save({ keys: [...keys(), key] });
+
+        return { ...publicKey(key), key: plainKey };
+    }
+
+    async function revokeKey(id) {
+        const existing = keys().find(key => key.id === id);
+        if (!existing) {
+            throw new HttpError(404, `API key ${id} not found`);
+        }
+
+        const revoked = { ...existing, revokedAt: existing.revokedAt || new Date().toISOString() };
+        await keysDocument.save({ keys: keys().map(key => (key.id === id ? revoked : key)) });
+        return publicKey(revoked);
+    }
+
+    function listKeys({ deviceId } = {}) {
+        return keys()
+            .filter(key => !deviceId || key.deviceId === deviceId)
+            .map(publicKey);
+    }
+
+    function keyFor(plainKey) {
+        const hash = hashApiKey(plainKey);
+        const key = keys().find(item => item.hash === hash);
+        if (!key || key.revokedAt) return null;
+
+        // Record usage in memory; it is persisted with the next key change
+        key.lastUsedAt = new Date().toISOString();
+        return key;
+    }
+
+    // Resolves the caller from an API key (X-API-Key header) or a session
+    // token (Authorization: Bearer, or ?access_token= for EventSource and
+    // download links, which cannot set headers). Sets req.auth and never
+    // rejects by itself.
+    function authenticate(req, res, next) {
+        const apiKey = req.get('X-API-Key');
+        const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+        const token = bearer ? bearer[1] : req.query.access_token;
+
+        req.auth = null;
+        if (!enabled) {
+            req.auth = { type: 'user', user: ANONYMOUS_ADMIN };
+        } else if (apiKey) {
+            const key = keyFor(apiKey);
+            if (key) req.auth = { type: 'device', deviceId: key.deviceId, keyId: key.id };
+        } else if (token) {
+            const user = userForToken(token);
+            if (user) req.auth = { type: 'user', user: publicUser(user), token };
+        }
+        next();
+    }
+
+    // Allows users with at least `role`
+    function requireRole(role) {
+        return (req, res, next) => {
+            if (!req.auth) {
+                return sendError(res, new HttpError(401, 'Authentication required'));
+            }
+            if (req.auth.type !== 'user' || !hasRole(req.auth.user, role)) {
+                return sendError(res, new HttpError(403, `Requires the ${role} role`));
+            }
+            next();
+        };
+    }
+
+    // Ingestion routes: a device API key, or a user with at least `role`
+    function requireDeviceOrRole(role) {
+        const userCheck = requireRole(role);
+        return (req, res, next) => {
+            if (req.auth && req.auth.type === 'device') return next();
+            userCheck(req, res, next);
+        };
+    }
+
+    return {
+        load,
+        close,
+        login,
+        logout,
+        listUsers,
+        createUser,
+        updateUser,
+        removeUser,
+        listKeys,
+        createKey,
+        revokeKey,
+        authenticate,
+        requireRole,
+        requireDeviceOrRole
+    };
+}
+
+module.exports = { createAuthService, ROLES };
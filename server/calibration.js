@@ -0,0 +1,104 @@
+const { ValidationError } = require('./httpError');
+
+const CALIBRATION_FIELDS = ['gain', 'offset', 'zero', 'temperatureCoefficient', 'referenceTemperature'];
+
+// A sensor without calibration passes its raw value through unchanged
+const IDENTITY = {
+    gain: 1,
+    offset: 0,
+    zero: 0,
+    temperatureCoefficient: 0,
+    referenceTemperature: 20
+};
+
+// Temperatures readings may carry for compensation, in °C
+const TEMPERATURE_RANGE = { min: -60, max: 120, unit: '°C' };
+
+function calibrationFor(device, sensor) {
+    return { ...IDENTITY, ...(device && device.calibration ? device.calibration[sensor] : {}) };
+}
+
+// Full calibration of a device for each of `sensors` (ids)
+function deviceCalibration(device, sensors) {
+    const result = {};
+    sensors.forEach(sensor => {
+        result[sensor] = calibrationFor(device, sensor);
+    });
+    return result;
+}
+
+function isIdentity(calibration) {
+    return CALIBRATION_FIELDS.every(field => calibration[field] === IDENTITY[field]);
+}
+
+// Converts a raw value to engineering units:
+//   (raw - zero) * gain + offset - temperatureCoefficient * (temperature - referenceTemperature)
+// Temperature compensation only applies when the reading has a temperature.
+function calibrate(raw, calibration, temperature) {
+    let value = (raw - calibration.zero) * calibration.gain + calibration.offset;
+    if (typeof temperature === 'number') {
+        value -= calibration.temperatureCoefficient * (temperature - calibration.referenceTemperature);
+    }
+    return value;
+}
+
+// Applies a partial { [sensor]: { gain, offset, ... } } update to a
+// device's stored calibration, returning the new stored form. `sensors` are
+// the ids that may be calibrated. Sensors back at identity are dropped so
+// the device record stays small.
+function mergeCalibration(existing = {}, input, sensors) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw ValidationError.field('(body)', 'Calibration must be an object keyed by sensor');
+    }
+
+    const errors = [];
+    const next = { ...existing };
+
+    Object.entries(input).forEach(([sensor, fields]) => {
+        if (!sensors.includes(sensor)) {
+            errors.push({ field: sensor, code: 'unknown', message: `Unknown sensor: use one of ${sensors.join(', ')}` });
+            return;
+        }
+        if (fields === null) {
+            delete next[sensor];
+            return;
+        }
+        if (typeof fields !== 'object' || Array.isArray(fields)) {
+            errors.push({ field: sensor, code: 'type', message: 'must be an object or null' });
+            return;
+        }
+
+        const merged = { ...IDENTITY, ...next[sensor] };
+        Object.entries(fields).forEach(([field, value]) => {
+            if (!CALIBRATION_FIELDS.includes(field)) {
+                errors.push({ field: `${sensor}.${field}`, code: 'unknown', message: 'is not a calibration field' });
+            } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push({ field: `${sensor}.${field}`, code: 'type', message: 'must be a finite number' });
+            } else if (field === 'gain' && value === 0) {
+                errors.push({ field: `${sensor}.gain`, code: 'range', message: 'must not be zero' });
+            } else {
+                merged[field] = value;
+            }
+        });
+
+        if (isIdentity(merged)) {
+            delete next[sensor];
+        } else {
+            next[sensor] = merged;
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    return next;
+}
+
+module.exports = {
+    calibrate,
+    calibrationFor,
+    deviceCalibration,
+    isIdentity,
+    mergeCalibration,
+    TEMPERATURE_RANGE
+};
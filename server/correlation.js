@@ -0,0 +1,156 @@
+const { setImmediate: nextTick } = require('timers/promises');
+const { resample } = require('./spectrum');
+
+// Lags are evaluated up to this many resampled steps either side
+const MAX_LAG_STEPS = 100;
+// Upper bound on the resampled series a lagged correlation runs over, as
+// every lag is a pass over the whole series; longer ranges are averaged
+// down to it
+const MAX_SAMPLES = 100000;
+// Sensors one request may correlate; the pairs grow with the square
+const MAX_SENSORS = 8;
+
+// Pearson correlation of xs[i] with ys[i + lag] over the indices both
+// cover. Null with fewer than three pairs or when either side is constant.
+function pearson(xs, ys, lag = 0) {
+    const start = Math.max(0, -lag);
+    const end = Math.min(xs.length, ys.length - lag);
+    const n = end - start;
+    if (n < 3) return null;
+
+    let sumX = 0;
+    let sumY = 0;
+    for (let i = start; i < end; i++) {
+        sumX += xs[i];
+        sumY += ys[i + lag];
+    }
+    const meanX = sumX / n;
+    const meanY = sumY / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = start; i < end; i++) {
+        const dx = xs[i] - meanX;
+        const dy = ys[i + lag] - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
+    }
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Averages readings into buckets `width` ms wide, each placed at its
+// bucket's centre, so a long range resamples onto at most MAX_SAMPLES points
+function downsample(readings, a, b, width) {
+    const first = readings[0].receivedAt;
+    const buckets = [];
+    let current = null;
+
+    readings.forEach(reading => {
+        const index = Math.floor((reading.receivedAt - first) / width);
+        if (!current || current.index !== index) {
+            current = { index, count: 0, a: 0, b: 0 };
+            buckets.push(current);
+        }
+        current.count += 1;
+        current.a += reading[a];
+        current.b += reading[b];
+    });
+
+    return buckets.map(bucket => ({
+        receivedAt: first + (bucket.index + 0.5) * width,
+        [a]: bucket.a / bucket.count,
+        [b]: bucket.b / bucket.count
+    }));
+}
+
+// Both sensors of a pair on one even grid, downsampled when the range holds
+// more than MAX_SAMPLES steps. Null with too few readings to resample.
+function resamplePair(paired, a, b) {
+    let seriesA = null;
+    try {
+        seriesA = resample(paired, a);
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+    }
+    if (seriesA && seriesA.values.length <= MAX_SAMPLES) {
+        return [seriesA, resample(paired, b)];
+    }
+
+    const span = paired[paired.length - 1].receivedAt - paired[0].receivedAt;
+    const bucketed = downsample(paired, a, b, Math.ceil(span / (MAX_SAMPLES - 1)));
+    const bucketedA = bucketed.length > 1 ? resample(bucketed, a) : null;
+    return bucketedA ? [bucketedA, resample(bucketed, b)] : null;
+}
+
+// Correlation of two sensors over the readings that carry both: at zero
+// lag on the readings themselves, and for lags up to `maxLagMs` either way
+// on both series resampled onto the same even grid. A peak at a positive
+// lag means `b` follows `a` by that long. `maxLagSeconds` is the lag
+// actually searched, which MAX_LAG_STEPS may cut short of `maxLagMs`.
+function correlatePair(readings, a, b, maxLagMs) {
+    const paired = readings.filter(reading => typeof reading[a] === 'number' && typeof reading[b] === 'number');
+    const result = {
+        a,
+        b,
+        samples: paired.length,
+        r: pearson(paired.map(reading => reading[a]), paired.map(reading => reading[b])),
+        sampleInterval: null,
+        maxLagSeconds: null,
+        lags: [],
+        peak: null
+    };
+
+    const series = paired.length > 1 ? resamplePair(paired, a, b) : null;
+    if (!series) return result;
+    const [seriesA, seriesB] = series;
+
+    const steps = Math.min(Math.round(maxLagMs / seriesA.step), MAX_LAG_STEPS);
+    for (let lag = -steps; lag <= steps; lag++) {
+        result.lags.push({
+            lagSeconds: (lag * seriesA.step) / 1000,
+            r: pearson(seriesA.values, seriesB.values, lag)
+        });
+    }
+
+    result.sampleInterval = seriesA.step / 1000;
+    result.maxLagSeconds = (steps * seriesA.step) / 1000;
+    result.peak = result.lags
+        .filter(point => point.r !== null)
+        .reduce((best, point) => (!best || Math.abs(point.r) > Math.abs(best.r) ? point : best), null);
+    return result;
+}
+
+// Correlation matrix between `sensors` (ids) over one device's time-ordered
+// readings, and the lagged cross-correlation of every pair. Matrix entries
+// are null where a pair has too few readings in common or a sensor did not
+// vary. A pair over a long range takes tens of milliseconds, so the event
+// loop is given a turn between pairs.
+async function computeCorrelation(readings, { sensors, maxLagMs = 60000 }) {
+    if (sensors.length > MAX_SENSORS) {
+        throw new RangeError(`At most ${MAX_SENSORS} sensors can be correlated at once`);
+    }
+
+    const matrix = sensors.map(() => sensors.map(() => null));
+    const pairs = [];
+
+    for (let i = 0; i < sensors.length; i++) {
+        const values = readings.filter(reading => typeof reading[sensors[i]] === 'number').map(reading => reading[sensors[i]]);
+        matrix[i][i] = pearson(values, values) === null ? null : 1;
+
+        for (let j = i + 1; j < sensors.length; j++) {
+            await nextTick();
+            const pair = correlatePair(readings, sensors[i], sensors[j], maxLagMs);
+            matrix[i][j] = pair.r;
+            matrix[j][i] = pair.r;
+            pairs.push(pair);
+        }
+    }
+
+    return { sensors, matrix, pairs };
+}
+
+module.exports = { computeCorrelation, MAX_LAG_STEPS, MAX_SENSORS };
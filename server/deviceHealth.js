@@ -0,0 +1,208 @@
+const HOUR_MS = 60 * 60 * 1000;
+// Readings used to infer a device's reporting interval when none is set
+const INTERVAL_SAMPLE = 20;
+const MAX_RECENT_GAPS = 10;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Tracks whether each device is reporting and whether its data looks sane:
+//
+// - online / stale / offline from the time since the last reading, relative
+//   to the expected reporting interval (the device's
+//   `expectedIntervalSeconds`, else the median of its recent intervals)
+// - gaps: silences longer than `gapFactor` intervals within the window
+// - flatlined sensors: the last `flatlineCount` readings all identical
+// - out-of-range faults: readings rejected for values outside the sensor
+//   limits within the window, which never reach storage and so are
+//   recorded here for up to `maxWindowHours`
+//
+// Everything but the faults is derived from stored readings on request.
+function createDeviceHealth({
+    sensorCatalog,
+    deviceRegistry,
+    sensorStore,
+    defaultIntervalSeconds = 60,
+    staleFactor = 3,
+    offlineFactor = 10,
+    gapFactor = 3,
+    flatlineCount = 20,
+    maxWindowHours = 24 * 30
+}) {
+    // Device id -> [{ at, sensors }] of rejected readings, oldest first
+    const faults = new Map();
+
+    function pruneFaults(deviceId, now) {
+        const recent = (faults.get(deviceId) || []).filter(fault => fault.at >= now - maxWindowHours * HOUR_MS);
+        if (recent.length > 0) faults.set(deviceId, recent);
+        else faults.delete(deviceId);
+        return recent;
+    }
+
+    // Called with the range errors of a rejected reading
+    function recordOutOfRange(deviceId, errors) {
+        const now = Date.now();
+        const recent = pruneFaults(deviceId, now);
+        recent.push({ at: now, sensors: errors.map(error => error.field) });
+        faults.set(deviceId, recent);
+    }
+
+    // Out-of-range faults of one device since `from`, per sensor
+    function outOfRangeSince(deviceId, from, now) {
+        const recent = pruneFaults(deviceId, now).filter(fault => fault.at >= from);
+        const sensors = {};
+        recent.forEach(fault => fault.sensors.forEach(sensor => {
+            sensors[sensor] = (sensors[sensor] || 0) + 1;
+        }));
+        return {
+            count: recent.length,
+            lastAt: recent.length > 0 ? new Date(recent[recent.length - 1].at).toISOString() : null,
+            sensors
+        };
+    }
+
+    function expectedInterval(device, readings) {
+        if (device.expectedIntervalSeconds) {
+            return { seconds: device.expectedIntervalSeconds, source: 'configured' };
+        }
+
+        const intervals = [];
+        const recent = readings.slice(-INTERVAL_SAMPLE - 1);
+        for (let i = 1; i < recent.length; i++) {
+            const delta = recent[i].receivedAt - recent[i - 1].receivedAt;
+            if (delta > 0) intervals.push(delta);
+        }
+        if (intervals.length === 0) {
+            return { seconds: defaultIntervalSeconds, source: 'default' };
+        }
+        return { seconds: Math.max(median(intervals) / 1000, 1), source: 'observed' };
+    }
+
+    // Silences longer than `gapFactor` intervals, counted from the last
+    // reading before the window; a silence still running at the end of the
+    // window is `ongoing`
+    function findGaps(deviceId, readings, intervalMs, from, now) {
+        const gaps = [];
+        const limit = gapFactor * intervalMs;
+        const [before] = sensorStore.query({ deviceId, to: from - 1, limit: 1 }).data;
+        let previous = before ? before.receivedAt : null;
+
+        const addGap = (start, end, ongoing) => {
+            gaps.push({
+                from: new Date(start).toISOString(),
+                to: new Date(end).toISOString(),
+                seconds: Math.round((end - start) / 1000),
+                ongoing
+            });
+        };
+
+        readings.forEach(reading => {
+            if (previous !== null && reading.receivedAt - previous > limit) {
+                addGap(previous, reading.receivedAt, false);
+            }
+            previous = reading.receivedAt;
+        });
+        if (previous !== null && now - previous > limit) {
+            addGap(previous, now, true);
+        }
+
+        return gaps;
+    }
+
+    function flatlinedSensors(readings) {
+        const recent = readings.slice(-flatlineCount);
+        if (recent.length < flatlineCount) return [];
+        return sensorCatalog.ids().filter(sensor => typeof recent[0][sensor] === 'number'
+            && recent.every(reading => reading[sensor] === recent[0][sensor]));
+    }
+
+    // Health of one device over the last `windowHours`
+    function deviceStatus(device, { windowHours = 24, now = Date.now() } = {}) {
+        const from = now - windowHours * HOUR_MS;
+        const { data: readings } = sensorStore.query({
+            deviceId: device.id,
+            from,
+            order: 'asc',
+            limit: sensorStore.count(device.id)
+        });
+        const [last] = sensorStore.latest(1, device.id);
+        const interval = expectedInterval(device, readings);
+        const intervalMs = interval.seconds * 1000;
+        const ageSeconds = last ? Math.max(Math.round((now - last.receivedAt) / 1000), 0) : null;
+
+        let status = 'never';
+        if (last) {
+            if (now - last.receivedAt <= staleFactor * intervalMs) status = 'online';
+            else if (now - last.receivedAt <= offlineFactor * intervalMs) status = 'stale';
+            else status = 'offline';
+        }
+
+        const gaps = findGaps(device.id, readings, intervalMs, from, now);
+        const flatlined = flatlinedSensors(readings);
+        const outOfRange = outOfRangeSince(device.id, from, now);
+
+        const issues = [];
+        if (status === 'stale' || status === 'offline') issues.push(`no readings for ${ageSeconds} s`);
+        if (status === 'never') issues.push('has never reported');
+        if (gaps.length > 0) issues.push(`${gaps.length} gap(s) in the last ${windowHours} h`);
+        flatlined.forEach(sensor => issues.push(`${sensor} flatlined over the last ${flatlineCount} readings`));
+        if (outOfRange.count > 0) issues.push(`${outOfRange.count} out-of-range reading(s) rejected in the last ${windowHours} h`);
+
+        return {
+            deviceId: device.id,
+            name: device.name,
+            structure: device.structure,
+            status,
+            lastSeenAt: last ? new Date(last.receivedAt).toISOString() : null,
+            ageSeconds,
+            expectedIntervalSeconds: interval.seconds,
+            intervalSource: interval.source,
+            readings: readings.length,
+            gaps: {
+                count: gaps.length,
+                longestSeconds: gaps.reduce((longest, gap) => Math.max(longest, gap.seconds), 0),
+                recent: gaps.slice(-MAX_RECENT_GAPS)
+            },
+            flatlined,
+            outOfRange,
+            issues
+        };
+    }
+
+    // Data availability of one device between `from` and `to`: readings
+    // received against those expected at its reporting interval, and the
+    // gaps in between
+    function availability(device, { from, to }) {
+        const { data: readings } = sensorStore.query({
+            deviceId: device.id,
+            from,
+            to,
+            order: 'asc',
+            limit: sensorStore.count(device.id)
+        });
+        const interval = expectedInterval(device, readings);
+        const expected = Math.max(Math.floor((to - from) / (interval.seconds * 1000)), 1);
+        const gaps = findGaps(device.id, readings, interval.seconds * 1000, from, to);
+
+        return {
+            readings: readings.length,
+            expectedReadings: expected,
+            percent: Math.min(readings.length / expected, 1) * 100,
+            expectedIntervalSeconds: interval.seconds,
+            intervalSource: interval.source,
+            gaps
+        };
+    }
+
+    function list({ structure, windowHours } = {}) {
+        const now = Date.now();
+        return deviceRegistry.list({ structure }).map(device => deviceStatus(device, { windowHours, now }));
+    }
+
+    return { recordOutOfRange, deviceStatus, availability, list };
+}
+
+module.exports = { createDeviceHealth };
@@ -0,0 +1,211 @@
+const { createJsonFile } = require('./jsonFile');
+const { HttpError, ValidationError } = require('./httpError');
+const { mergeCalibration } = require('./calibration');
+const { validateTimezone } = require('./timezones');
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_DEVICE_ID = 'default';
+const EDITABLE_FIELDS = ['name', 'structure', 'location', 'description'];
+
+// Readings posted without a deviceId are attributed to this device so data
+// from older sensor nodes keeps flowing after the registry was introduced
+const DEFAULT_DEVICE = {
+    id: DEFAULT_DEVICE_ID,
+    name: 'Default device',
+    structure: 'Unassigned',
+    location: '',
+    description: 'Receives readings posted without a deviceId'
+};
+
+function pickEditable(input) {
+    const fields = {};
+
+    EDITABLE_FIELDS.forEach(field => {
+        if (input[field] === undefined) return;
+        if (typeof input[field] !== 'string') {
+            throw ValidationError.field(field, `Field ${field} must be a string`);
+        }
+        fields[field] = input[field].trim();
+    });
+
+    // Expected reporting interval used for health monitoring; null falls
+    // back to the interval observed in the device's readings
+    const interval = input.expectedIntervalSeconds;
+    if (interval !== undefined) {
+        if (interval !== null && (typeof interval !== 'number' || !Number.isFinite(interval) || interval <= 0)) {
+            throw ValidationError.field('expectedIntervalSeconds', 'Field expectedIntervalSeconds must be a positive number or null');
+        }
+        fields.expectedIntervalSeconds = interval;
+    }
+
+    return fields;
+}
+
+// Registry of the sensor nodes and the structures (bridges, buildings, ...)
+// they are mounted on, persisted as a JSON document. Calibrations may cover
+// any sensor in `sensorCatalog`. Structures exist while a device names them;
+// their settings (the display time zone, `defaultTimezone` unless set) are
+// kept in `structuresFile`.
+function createDeviceRegistry({ file, structuresFile, sensorCatalog, defaultTimezone = 'UTC' }) {
+    const document = createJsonFile(file, { devices: [] });
+    const structuresDocument = createJsonFile(structuresFile, { structures: {} });
+
+    function devices() {
+        return document.get().devices;
+    }
+
+    async function load() {
+        await Promise.all([document.load(), structuresDocument.load()]);
+
+        if (!get(DEFAULT_DEVICE_ID)) {
+            const now = new Date().toISOString();
+            await document.save({
+                devices: [{ ...DEFAULT_DEVICE, createdAt: now, updatedAt: now }, ...devices()]
+            });
+        }
+    }
+
+    function list({ structure } = {}) {
+        return devices().filter(device => !structure || device.structure === structure);
+    }
+
+    function get(id) {
+        return devices().find(device => device.id === id) || null;
+    }
+
+    function structures() {
+        return [...new Set(devices().map(device => device.structure))].sort();
+    }
+
+    function structureSettings(structure) {
+        return structuresDocument.get().structures[structure] || {};
+    }
+
+    function structureTimezone(structure) {
+        return structureSettings(structure).timezone || defaultTimezone;
+    }
+
+    // `timezone` is the configured zone, null when the default applies
+    function listStructures() {
+        return structures().map(structure => ({
+            name: structure,
+            devices: list({ structure }).length,
+            timezone: structureSettings(structure).timezone || null,
+            displayTimezone: structureTimezone(structure)
+        }));
+    }
+
+    // Body: { timezone: IANA zone, or null for the default }
+    async function updateStructure(structure, { timezone } = {}) {
+        if (!structures().includes(structure)) {
+            throw new HttpError(404, `Structure ${structure} not found`);
+        }
+        if (timezone === undefined) {
+            throw ValidationError.field('timezone', 'is required');
+        }
+        validateTimezone('timezone', timezone);
+
+        const settings = structuresDocument.get().structures;
+        await structuresDocument.save({
+            structures: {
+                ...settings,
+                [structure]: { ...settings[structure], timezone, updatedAt: new Date().toISOString() }
+            }
+        });
+        return listStructures().find(item => item.name === structure);
+    }
+
+    async function create(input) {
+        const { id } = input;
+
+        if (typeof id !== 'string' || !DEVICE_ID_PATTERN.test(id)) {
+            throw ValidationError.field('id', 'Device id must be 1-64 letters, digits, dashes or underscores');
+        }
+        if (get(id)) {
+            throw new HttpError(409, `Device ${id} already exists`);
+        }
+
+        const fields = pickEditable(input);
+        if (!fields.name) {
+            throw ValidationError.field('name', 'Device name is required');
+        }
+
+        const now = new Date().toISOString();
+        const device = {
+            id,
+            name: fields.name,
+            structure: fields.structure || 'Unassigned',
+            location: fields.location || '',
+            description: fields.description || '',
+            expectedIntervalSeconds: fields.expectedIntervalSeconds ?? null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await document.save({ devices: [...devices(), device] });
+        return device;
+    }
+
+    async function update(id, input) {
+        const existing = get(id);
+        if (!existing) {
+            throw new HttpError(404, `Device ${id} not found`);
+        }
+
+        const fields = pickEditable(input);
+        if (fields.name === '') {
+            throw ValidationError.field('name', 'Device name cannot be empty');
+        }
+
+        const device = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+        await document.save({
+            devices: devices().map(item => (item.id === id ? device : item))
+        });
+        return device;
+    }
+
+    // Applies a partial per-sensor calibration update; see calibration.js
+    async function setCalibration(id, input) {
+        const existing = get(id);
+        if (!existing) {
+            throw new HttpError(404, `Device ${id} not found`);
+        }
+
+        const device = {
+            ...existing,
+            calibration: mergeCalibration(existing.calibration, input, sensorCatalog.ids()),
+            updatedAt: new Date().toISOString()
+        };
+        await document.save({
+            devices: devices().map(item => (item.id === id ? device : item))
+        });
+        return device;
+    }
+
+    async function remove(id) {
+        if (id === DEFAULT_DEVICE_ID) {
+            throw new HttpError(400, 'The default device cannot be deleted');
+        }
+        if (!get(id)) {
+            throw new HttpError(404, `Device ${id} not found`);
+        }
+
+        await document.save({ devices: devices().filter(device => device.id !== id) });
+    }
+
+    return {
+        load,
+        list,
+        get,
+        structures,
+        structureTimezone,
+        listStructures,
+        updateStructure,
+        create,
+        update,
+        setCalibration,
+        remove
+    };
+}
+
+module.exports = { createDeviceRegistry, DEFAULT_DEVICE_ID };
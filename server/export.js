@@ -0,0 +1,150 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+// One column per catalog sensor, headed with its name and unit
+function columnsFor(sensors) {
+    return [
+        { header: 'Timestamp (UTC)', key: 'timestamp', width: 25 },
+        { header: 'Device', key: 'deviceId', width: 20 },
+        ...sensors.map(sensor => ({
+            header: sensor.unit ? `${sensor.name} (${sensor.unit})` : sensor.name,
+            key: sensor.id,
+            width: 15
+        })),
+        { header: 'Temperature', key: 'temperature', width: 14 },
+        { header: 'ID', key: 'id', width: 38 },
+        { header: 'Simulated', key: 'simulated', width: 12 }
+    ];
+}
+
+// Min/max/mean per catalog sensor over the readings that carry it
+function summarize(readings, sensors) {
+    return sensors.map(({ id: sensor, unit }) => {
+        let min = Infinity;
+        let max = -Infinity;
+        let sum = 0;
+        let count = 0;
+
+        readings.forEach(reading => {
+            const value = reading[sensor];
+            if (typeof value !== 'number') return;
+            if (value < min) min = value;
+            if (value > max) max = value;
+            sum += value;
+            count += 1;
+        });
+
+        return {
+            sensor,
+            unit,
+            count,
+            min: count ? min : null,
+            max: count ? max : null,
+            mean: count ? sum / count : null
+        };
+    });
+}
+
+// Resolves true once the response can take more data, or false once the
+// client has gone away and the export should stop
+function drained(res) {
+    if (res.destroyed) return Promise.resolve(false);
+
+    return new Promise(resolve => {
+        const settle = writable => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            res.off('error', onClose);
+            resolve(writable);
+        };
+        const onDrain = () => settle(true);
+        const onClose = () => settle(false);
+
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+        res.once('error', onClose);
+    });
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeCsv(res, readings, meta, sensors) {
+    const columns = columnsFor(sensors);
+    res.write(`${columns.map(column => csvField(column.header)).join(',')}\n`);
+
+    for (const reading of readings) {
+        const line = `${columns.map(column => csvField(reading[column.key])).join(',')}\n`;
+        if (!res.write(line) && !await drained(res)) return;
+    }
+
+    res.end();
+}
+
+async function writeJson(res, readings, meta, sensors) {
+    res.write(`{"meta":${JSON.stringify({ ...meta, summary: summarize(readings, sensors) })},"data":[`);
+
+    for (let i = 0; i < readings.length; i++) {
+        const chunk = `${i === 0 ? '' : ','}${JSON.stringify(readings[i])}`;
+        if (!res.write(chunk) && !await drained(res)) return;
+    }
+
+    res.end(']}');
+}
+
+// Streams the workbook straight into the response; no file is written
+async function writeXlsx(res, readings, meta, sensors) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+
+    const worksheet = workbook.addWorksheet('Sensor Data');
+    worksheet.columns = columnsFor(sensors);
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+    readings.forEach(reading => worksheet.addRow(reading).commit());
+    worksheet.commit();
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [
+        { header: 'Sensor', key: 'sensor', width: 18 },
+        { header: 'Unit', key: 'unit', width: 10 },
+        { header: 'Count', key: 'count', width: 10 },
+        { header: 'Min', key: 'min', width: 15 },
+        { header: 'Max', key: 'max', width: 15 },
+        { header: 'Mean', key: 'mean', width: 15 }
+    ];
+    summarySheet.getRow(1).font = { bold: true };
+    summarySheet.getRow(1).commit();
+    summarize(readings, sensors).forEach(row => summarySheet.addRow(row).commit());
+    summarySheet.addRow({}).commit();
+    summarySheet.addRow({ sensor: 'Device', unit: meta.deviceId || 'All devices' }).commit();
+    summarySheet.addRow({ sensor: 'From', unit: meta.from || 'Start of retention' }).commit();
+    summarySheet.addRow({ sensor: 'To', unit: meta.to || 'Latest reading' }).commit();
+    summarySheet.addRow({ sensor: 'Generated', unit: meta.generatedAt }).commit();
+    summarySheet.commit();
+
+    await workbook.commit();
+}
+
+// Writes `readings` to the response in the requested format, setting the
+// download headers. `meta` describes the exported window; `sensors` are the
+// catalog entries to export. `filename` may carry client-supplied ids, so
+// anything but letters, digits, `_` and `-` is dropped before it goes into
+// the header.
+async function sendExport(res, format, readings, meta, filename, sensors) {
+    const safeName = filename.replace(/[^A-Za-z0-9_-]/g, '') || 'export';
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${format}"`);
+
+    if (format === 'csv') return writeCsv(res, readings, meta, sensors);
+    if (format === 'json') return writeJson(res, readings, meta, sensors);
+    return writeXlsx(res, readings, meta, sensors);
+}
+
+module.exports = { sendExport, summarize, EXPORT_FORMATS };
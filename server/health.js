@@ -0,0 +1,37 @@
+// Liveness and readiness for /healthz and /readyz. The service is ready
+// once the reading store has loaded and can be written to, the MQTT bridge
+// (when one is configured) is connected, and, when `maxIngestAgeSeconds` is
+// set, a reading has arrived within that many seconds (counted from startup
+// until the first one).
+function createHealthCheck({ sensorStore, metrics, mqttBridge = null, maxIngestAgeSeconds = 0 }) {
+    const startedAt = Date.now();
+
+    async function report() {
+        const storage = await sensorStore.status();
+        const mqtt = mqttBridge ? mqttBridge.status() : { enabled: false };
+        const lastIngestAt = metrics.lastIngestAt();
+        const ingestAgeSeconds = Math.round((Date.now() - (lastIngestAt ?? startedAt)) / 1000);
+
+        const checks = {
+            storage: storage.loaded && storage.writable && !storage.lastWriteError,
+            ingest: !maxIngestAgeSeconds || ingestAgeSeconds <= maxIngestAgeSeconds
+        };
+        if (mqtt.enabled) checks.mqtt = mqtt.connected;
+        const ready = Object.values(checks).every(Boolean);
+
+        return {
+            status: ready ? 'ok' : 'unavailable',
+            ready,
+            checks,
+            uptime: Math.round(process.uptime()),
+            storage,
+            mqtt,
+            lastIngestAt: lastIngestAt === null ? null : new Date(lastIngestAt).toISOString(),
+            lastIngestAgeSeconds: lastIngestAt === null ? null : ingestAgeSeconds
+        };
+    }
+
+    return { report };
+}
+
+module.exports = { createHealthCheck };
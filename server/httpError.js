@@ -0,0 +1,88 @@
+// Machine-readable codes for the statuses routes answer with
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'BAD_GATEWAY'
+};
+
+// Error carrying the HTTP status a route should answer with
+class HttpError extends Error {
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || STATUS_CODES[status] || 'ERROR';
+        this.details = details || [];
+    }
+}
+
+// A request that failed validation. `details` lists every problem found as
+// { field, code, message } so clients can point at the offending input.
+class ValidationError extends HttpError {
+    constructor(details, message) {
+        super(400, message || details.map(detail => `${detail.field}: ${detail.message}`).join('; '), {
+            code: 'VALIDATION_ERROR',
+            details
+        });
+        this.name = 'ValidationError';
+    }
+
+    // Shorthand for a single invalid field
+    static field(field, message, code = 'invalid') {
+        return new ValidationError([{ field, code, message }]);
+    }
+}
+
+// Every error response has the same shape:
+// { success: false, message, code, errors: [{ field, code, message }] }
+function sendErrorResponse(res, status, message, code = STATUS_CODES[status], details = []) {
+    res.status(status).json({
+        success: false,
+        message,
+        code,
+        errors: details
+    });
+}
+
+// Answers with the status of an HttpError, or logs anything unexpected and
+// answers 500 with `fallbackMessage`
+function sendError(res, error, fallbackMessage) {
+    if (error instanceof HttpError) {
+        return sendErrorResponse(res, error.status, error.message, error.code, error.details);
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    sendErrorResponse(res, 500, fallbackMessage);
+}
+
+// Catch-all for routes that do not exist
+function notFoundHandler(req, res) {
+    sendErrorResponse(res, 404, `No route for ${req.method} ${req.path}`);
+}
+
+// Last-resort Express error handler: malformed or oversized JSON bodies
+// from the body parser, and anything a route let escape
+function errorHandler(error, req, res, next) {
+    if (error.type === 'entity.parse.failed') {
+        return sendErrorResponse(res, 400, 'Request body is not valid JSON', 'INVALID_JSON');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendErrorResponse(res, 413, 'Request body is too large');
+    }
+    sendError(res, error, 'Internal server error');
+}
+
+module.exports = {
+    HttpError,
+    ValidationError,
+    sendError,
+    sendErrorResponse,
+    notFoundHandler,
+    errorHandler
+};
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { DEFAULT_DEVICE_ID } = require('./deviceRegistry');
+const { calibrate, calibrationFor, isIdentity, TEMPERATURE_RANGE } = require('./calibration');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Allow for device clocks running slightly ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Reading fields besides the sensor values
+const READING_FIELDS = ['deviceId', 'timestamp', 'temperature'];
+
+// Device-supplied timestamps may be epoch milliseconds or ISO-8601 strings
+function parseDeviceTime(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && /^\d+$/.test(value)) return Number(value);
+    if (typeof value === 'string') return Date.parse(value);
+    return NaN;
+}
+
+// The single path every reading takes into the system, whichever transport
+// delivered it: validation, anomaly scoring, storage, alert evaluation,
+// notifications and live push.
+// The sensor values a reading carries follow `sensorCatalog`. Fields
+// outside the schema are rejected, or dropped when `unknownFields` is
+// 'strip'.
+function createIngestPipeline({
+    sensorCatalog,
+    deviceRegistry,
+    sensorStore,
+    alertEngine,
+    anomalyDetector,
+    notifier,
+    deviceHealth,
+    liveFeed,
+    metrics,
+    retentionDays,
+    unknownFields = 'reject'
+}) {
+    // Checks a raw payload against the reading schema and builds the
+    // reading to store. Returns every problem found as { field, code,
+    // message }. `receivedAt` is the time the reading was taken: the
+    // device-supplied `timestamp` when given (required for buffered uploads),
+    // otherwise arrival time. `boundDeviceId` restricts the reading to the
+    // device an API key belongs to. `skipCalibration` is for values already
+    // in engineering units, such as the simulator's.
+    function validate(input, { requireTimestamp = false, boundDeviceId, skipCalibration = false } = {}) {
+        const errors = [];
+        const fail = (field, code, message) => errors.push({ field, code, message });
+
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            fail('(body)', 'type', 'reading must be a JSON object');
+            metrics.recordRejected(errors);
+            return { errors, reading: null };
+        }
+
+        const { deviceId = boundDeviceId || DEFAULT_DEVICE_ID, temperature } = input;
+        const device = typeof deviceId === 'string' ? deviceRegistry.get(deviceId) : null;
+
+        if (boundDeviceId && deviceId !== boundDeviceId) {
+            fail('deviceId', 'forbidden', `this API key may only submit readings for ${boundDeviceId}`);
+        } else if (typeof deviceId !== 'string') {
+            fail('deviceId', 'type', 'must be a string');
+        } else if (!device) {
+            fail('deviceId', 'unknown', `unknown device ${deviceId}: register it via /api/devices first`);
+        }
+
+        // Only a valid temperature is used for compensation
+        let compensationTemperature;
+        if (temperature !== undefined && temperature !== null) {
+            const { min, max, unit } = TEMPERATURE_RANGE;
+            if (typeof temperature !== 'number' || !Number.isFinite(temperature)) {
+                fail('temperature', 'type', 'must be a finite number');
+            } else if (temperature < min || temperature > max) {
+                fail('temperature', 'range', `must be between ${min} and ${max} ${unit}`);
+            } else {
+                compensationTemperature = temperature;
+            }
+        }
+
+        // Sensor values are raw; the device's calibration turns them into
+        // engineering units, and the limits apply to the calibrated value.
+        // Optional sensors are simply left out of the reading when absent.
+        const sensors = sensorCatalog.list();
+        const values = {};
+        const raw = {};
+        let calibrated = false;
+
+        sensors.forEach(({ id: sensor, min, max, unit, required }) => {
+            const value = input[sensor];
+
+            if (value === undefined || value === null) {
+                if (required) fail(sensor, 'required', 'is required');
+                return;
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return fail(sensor, 'type', 'must be a finite number');
+            }
+
+            const calibration = calibrationFor(skipCalibration ? null : device, sensor);
+            const identity = isIdentity(calibration);
+            raw[sensor] = value;
+            values[sensor] = identity ? value : calibrate(value, calibration, compensationTemperature);
+            if (!identity) calibrated = true;
+
+            if (values[sensor] < min || values[sensor] > max) {
+                const suffix = identity ? '' : ` after calibration (got ${values[sensor]})`;
+                fail(sensor, 'range', `must be between ${min} and ${max} ${unit}${suffix}`);
+            }
+        });
+
+        // Without required sensors the reading must still carry something
+        const present = sensors.filter(sensor => input[sensor.id] !== undefined && input[sensor.id] !== null);
+        if (present.length === 0 && !sensors.some(sensor => sensor.required)) {
+            fail('(body)', 'required', `reading must carry at least one of ${sensors.map(sensor => sensor.id).join(', ')}`);
+        }
+
+        if (unknownFields === 'reject') {
+            Object.keys(input)
+                .filter(field => !READING_FIELDS.includes(field) && !sensorCatalog.get(field))
+                .forEach(field => fail(field, 'unknown', 'is not a recognised field'));
+        }
+
+        const now = Date.now();
+        let time = now;
+
+        if (input.timestamp === undefined || input.timestamp === null) {
+            if (requireTimestamp) {
+                fail('timestamp', 'required', 'is required as epoch milliseconds or an ISO-8601 date');
+            }
+        } else {
+            time = parseDeviceTime(input.timestamp);
+            if (!Number.isFinite(time)) {
+                fail('timestamp', 'type', 'must be epoch milliseconds or an ISO-8601 date');
+            } else if (time > now + MAX_CLOCK_SKEW_MS) {
+                fail('timestamp', 'range', 'is in the future');
+            } else if (time < now - retentionDays * DAY_MS) {
+                fail('timestamp', 'range', `is older than the ${retentionDays}-day retention window`);
+            }
+        }
+
+        if (errors.length > 0) {
+            // Out-of-range values from a known device point at a sensor fault
+            const rangeErrors = errors.filter(error => sensorCatalog.get(error.field) && error.code === 'range');
+            if (device && rangeErrors.length > 0) deviceHealth.recordOutOfRange(deviceId, rangeErrors);
+            metrics.recordRejected(errors);
+            return { errors, reading: null };
+        }
+
+        const reading = { deviceId, ...values };
+        // Raw values are kept whenever calibration changed them, so readings
+        // can be re-derived if a calibration turns out to be wrong
+        if (calibrated) reading.raw = raw;
+        if (compensationTemperature !== undefined) reading.temperature = compensationTemperature;
+        // Stored in UTC; display time zones are applied by the consumer
+        reading.timestamp = new Date(time).toISOString();
+        reading.receivedAt = time;
+        reading.id = crypto.randomUUID();
+
+        return { errors, reading };
+    }
+
+    // The anomaly score is stored with the reading it was computed for
+    async function ingest(reading) {
+        reading.anomaly = anomalyDetector.score(reading);
+        await sensorStore.append(reading);
+        metrics.recordIngest(reading);
+        const alerts = await alertEngine.evaluate(reading);
+
+        liveFeed.publish('reading', reading);
+        [...alerts.opened, ...alerts.cleared].forEach(alert => liveFeed.publish('alert', alert));
+
+        // Notifications go out in the background so a slow mail server or
+        // webhook never holds up ingestion
+        alerts.opened.forEach(alert => notifier.notify('opened', alert, alertEngine.getRule(alert.ruleId)));
+        alerts.cleared.forEach(alert => notifier.notify('cleared', alert, alertEngine.getRule(alert.ruleId)));
+
+        return { reading, alerts };
+    }
+
+    // Batch readings accepted but not stored yet, by batchKey, so
+    // overlapping retries of an upload do not both pass the duplicate check
+    const pending = new Map();
+
+    function batchKey(reading) {
+        return `${reading.deviceId}:${reading.receivedAt}`;
+    }
+
+    // Validates and stores a batch of device-timestamped readings. A reading
+    // whose device already has one at the same timestamp, stored or in
+    // flight, is skipped, so a retried upload does not create duplicates.
+    // Returns one result per input item, in input order: stored, duplicate,
+    // invalid or failed.
+    async function ingestBatch(items, { boundDeviceId } = {}) {
+        const results = [];
+        const accepted = [];
+
+        items.forEach((item, index) => {
+            const { errors, reading } = validate(item, { requireTimestamp: true, boundDeviceId });
+
+            if (!reading) {
+                results[index] = { index, status: 'invalid', errors };
+                return;
+            }
+
+            const key = batchKey(reading);
+            const existing = sensorStore.findAt(reading.deviceId, reading.receivedAt);
+            const duplicateId = existing ? existing.id : pending.get(key);
+
+            if (duplicateId) {
+                results[index] = { index, status: 'duplicate', id: duplicateId };
+                return;
+            }
+
+            pending.set(key, reading.id);
+            accepted.push({ index, reading });
+        });
+
+        // Alert rules expect each device's readings in time order
+        accepted.sort((a, b) => a.reading.receivedAt - b.reading.receivedAt);
+
+        // A reading that fails is reported and the rest of the batch goes
+        // on, so the device learns exactly which readings to resend. One
+        // that was stored before a later step failed counts as stored.
+        for (const { index, reading } of accepted) {
+            try {
+                await ingest(reading);
+                results[index] = { index, status: 'stored', id: reading.id };
+            } catch (error) {
+                if (sensorStore.findAt(reading.deviceId, reading.receivedAt)) {
+                    results[index] = { index, status: 'stored', id: reading.id };
+                } else {
+                    console.error(`Error storing batch reading ${index} from ${reading.deviceId}:`, error);
+                    results[index] = { index, status: 'failed', error: error.message };
+                }
+            } finally {
+                // Stored readings are found by the store from here on;
+                // failed ones may be retried
+                pending.delete(batchKey(reading));
+            }
+        }
+
+        return results;
+    }
+
+    return { validate, ingest, ingestBatch };
+}
+
+module.exports = { createIngestPipeline, READING_FIELDS };
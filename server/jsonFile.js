@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+// A small JSON document kept in memory and mirrored to a single file.
+// Saves are written to a temporary file and renamed into place so a crash
+// never leaves a half-written document behind.
+function createJsonFile(file, defaults) {
+    let value = defaults;
+    let writeChain = Promise.resolve();
+
+    async function load() {
+        try {
+            value = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            value = defaults;
+        }
+        return value;
+    }
+
+    function get() {
+        return value;
+    }
+
+    function save(next) {
+        value = next;
+        const content = `${JSON.stringify(next, null, 2)}\n`;
+        const tempFile = `${file}.tmp`;
+
+        const write = writeChain.then(async () => {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(tempFile, content);
+            await fs.promises.rename(tempFile, file);
+        });
+        writeChain = write.catch(() => {});
+
+        return write.then(() => next);
+    }
+
+    return { load, get, save };
+}
+
+module.exports = { createJsonFile };
@@ -0,0 +1,52 @@
+const HEARTBEAT_MS = 25 * 1000;
+
+// Server-Sent Events fan-out for newly accepted readings and alert changes.
+// Clients may subscribe to a single device; events without a deviceId go
+// to everyone.
+function createLiveFeed() {
+    const clients = new Set();
+
+    const heartbeat = setInterval(() => {
+        // Comment lines keep proxies from closing idle connections
+        clients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    function subscribe(req, res, { deviceId } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        // Ask EventSource to wait a few seconds before reconnecting
+        res.write('retry: 3000\n\n');
+
+        const client = { res, deviceId };
+        clients.add(client);
+        req.on('close', () => clients.delete(client));
+    }
+
+    function publish(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+        clients.forEach(client => {
+            if (client.deviceId && data.deviceId && client.deviceId !== data.deviceId) return;
+            client.res.write(message);
+        });
+    }
+
+    function clientCount() {
+        return clients.size;
+    }
+
+    function close() {
+        clearInterval(heartbeat);
+        clients.forEach(client => client.res.end());
+        clients.clear();
+    }
+
+    return { subscribe, publish, clientCount, close };
+}
+
+module.exports = { createLiveFeed };
@@ -0,0 +1,155 @@
+const client = require('prom-client');
+const { READING_FIELDS } = require('./ingest');
+
+// Request latency buckets in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Express route a request matched, e.g. /api/devices/:id, so label values
+// stay bounded whatever ids clients send
+function routeLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+// Prometheus metrics served at /metrics. Counters and request latencies are
+// recorded as things happen; device last-seen times and current sensor
+// values are read from the store on each scrape.
+function createMetrics({ sensorCatalog, deviceRegistry, sensorStore, liveFeed }) {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry });
+
+    let lastIngestAt = null;
+
+    const readingsIngested = new client.Counter({
+        name: 'shm_readings_ingested_total',
+        help: 'Readings stored, per device',
+        labelNames: ['device'],
+        registers: [registry]
+    });
+
+    const readingsRejected = new client.Counter({
+        name: 'shm_readings_rejected_total',
+        help: 'Readings rejected by validation',
+        registers: [registry]
+    });
+
+    const validationFailures = new client.Counter({
+        name: 'shm_validation_failures_total',
+        help: 'Validation errors on rejected readings, per field and error code',
+        labelNames: ['field', 'code'],
+        registers: [registry]
+    });
+
+    const requestDuration = new client.Histogram({
+        name: 'shm_http_request_duration_seconds',
+        help: 'HTTP request latency',
+        labelNames: ['method', 'route', 'status'],
+        buckets: LATENCY_BUCKETS,
+        registers: [registry]
+    });
+
+    new client.Gauge({
+        name: 'shm_device_last_seen_timestamp_seconds',
+        help: 'Time of the latest stored reading, per device',
+        labelNames: ['device', 'structure'],
+        registers: [registry],
+        collect() {
+            this.reset();
+            deviceRegistry.list().forEach(device => {
+                const [last] = sensorStore.latest(1, device.id);
+                if (last) this.set({ device: device.id, structure: device.structure }, last.receivedAt / 1000);
+            });
+        }
+    });
+
+    new client.Gauge({
+        name: 'shm_sensor_value',
+        help: 'Latest stored value per device and sensor, in the catalog unit',
+        labelNames: ['device', 'sensor', 'unit'],
+        registers: [registry],
+        collect() {
+            this.reset();
+            deviceRegistry.list().forEach(device => {
+                const [last] = sensorStore.latest(1, device.id);
+                if (!last) return;
+                sensorCatalog.list().forEach(sensor => {
+                    if (typeof last[sensor.id] !== 'number') return;
+                    this.set({ device: device.id, sensor: sensor.id, unit: sensor.unit }, last[sensor.id]);
+                });
+            });
+        }
+    });
+
+    new client.Gauge({
+        name: 'shm_stored_readings',
+        help: 'Readings held within the retention window',
+        registers: [registry],
+        collect() {
+            this.set(sensorStore.count());
+        }
+    });
+
+    new client.Gauge({
+        name: 'shm_last_ingest_timestamp_seconds',
+        help: 'Time the last reading was ingested by this process',
+        registers: [registry],
+        collect() {
+            if (lastIngestAt !== null) this.set(lastIngestAt / 1000);
+        }
+    });
+
+    new client.Gauge({
+        name: 'shm_live_clients',
+        help: 'Clients connected to the live stream',
+        registers: [registry],
+        collect() {
+            this.set(liveFeed.clientCount());
+        }
+    });
+
+    function recordIngest(reading) {
+        readingsIngested.inc({ device: reading.deviceId });
+        lastIngestAt = Date.now();
+    }
+
+    // Field names outside the schema come from clients, so they share one
+    // label value
+    function recordRejected(errors) {
+        readingsRejected.inc();
+        errors.forEach(error => {
+            const known = READING_FIELDS.includes(error.field) || sensorCatalog.get(error.field) || error.field === '(body)';
+            validationFailures.inc({ field: known ? error.field : '(other)', code: error.code });
+        });
+    }
+
+    // Middleware timing every request. Live streams stay open for as long
+    // as the client is connected, so they are left out.
+    function requestTimer() {
+        return (req, res, next) => {
+            const end = requestDuration.startTimer();
+            res.on('finish', () => {
+                if (String(res.getHeader('Content-Type')).startsWith('text/event-stream')) return;
+                end({ method: req.method, route: routeLabel(req), status: res.statusCode });
+            });
+            next();
+        };
+    }
+
+    function getLastIngestAt() {
+        return lastIngestAt;
+    }
+
+    function render() {
+        return registry.metrics();
+    }
+
+    return {
+        contentType: registry.contentType,
+        recordIngest,
+        recordRejected,
+        requestTimer,
+        lastIngestAt: getLastIngestAt,
+        render
+    };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,143 @@
+const mqtt = require('mqtt');
+
+const DEVICE_PLACEHOLDER = '{deviceId}';
+
+// Topic templates name the device segment with {deviceId}, e.g.
+// shm/{deviceId}/readings; the subscription uses a single-level wildcard
+// there and the matched segment becomes the reading's device
+function compileTemplate(template) {
+    const parts = template.split('/');
+    const deviceIndex = parts.indexOf(DEVICE_PLACEHOLDER);
+    if (deviceIndex === -1) {
+        throw new Error(`MQTT topic template ${template} has no ${DEVICE_PLACEHOLDER} segment`);
+    }
+
+    return {
+        filter: parts.map(part => (part === DEVICE_PLACEHOLDER ? '+' : part)).join('/'),
+        match(topic) {
+            const segments = topic.split('/');
+            if (segments.length !== parts.length) return null;
+            const matches = parts.every((part, index) => part === DEVICE_PLACEHOLDER || part === segments[index]);
+            return matches ? segments[deviceIndex] : null;
+        }
+    };
+}
+
+// The broker URL without any credentials, for status output
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.username = '';
+        parsed.password = '';
+        return parsed.toString();
+    } catch {
+        return null;
+    }
+}
+
+// Subscribes to MQTT topics and feeds their payloads through the ingest
+// pipeline, exactly like POST /api/sensor-data (a JSON object) or
+// /api/sensor-data/batch (a JSON array). The device comes from the topic,
+// so a payload naming another device is rejected. The client reconnects by
+// itself; `status()` reports the connection and message counters.
+function createMqttBridge({ url, topics, username, password, clientId, ingestPipeline }) {
+    const templates = topics.map(compileTemplate);
+    const counters = { received: 0, stored: 0, duplicate: 0, invalid: 0, failed: 0 };
+    let client = null;
+    let connected = false;
+    let lastConnectedAt = null;
+    let lastError = null;
+
+    function deviceForTopic(topic) {
+        for (const template of templates) {
+            const deviceId = template.match(topic);
+            if (deviceId) return deviceId;
+        }
+        return null;
+    }
+
+    function rejected(topic, errors) {
+        counters.invalid += 1;
+        const summary = errors.map(error => `${error.field}: ${error.message}`).join('; ');
+        console.warn(`Rejected MQTT reading on ${topic}: ${summary}`);
+    }
+
+    async function handleMessage(topic, payload) {
+        counters.received += 1;
+        const deviceId = deviceForTopic(topic);
+
+        let body;
+        try {
+            body = JSON.parse(payload.toString('utf8'));
+        } catch {
+            return rejected(topic, [{ field: '(body)', code: 'type', message: 'payload is not valid JSON' }]);
+        }
+
+        try {
+            if (Array.isArray(body)) {
+                const results = await ingestPipeline.ingestBatch(body, { boundDeviceId: deviceId });
+                results.forEach(result => {
+                    if (result.status === 'invalid') return rejected(topic, result.errors);
+                    counters[result.status] += 1;
+                });
+                return;
+            }
+
+            const { errors, reading } = ingestPipeline.validate(body, { boundDeviceId: deviceId });
+            if (!reading) return rejected(topic, errors);
+
+            await ingestPipeline.ingest(reading);
+            counters.stored += 1;
+        } catch (error) {
+            counters.failed += 1;
+            console.error(`Error storing MQTT reading from ${topic}:`, error);
+        }
+    }
+
+    function start() {
+        client = mqtt.connect(url, { clientId, username, password, reconnectPeriod: 5000 });
+
+        client.on('connect', () => {
+            connected = true;
+            lastConnectedAt = new Date().toISOString();
+            lastError = null;
+            client.subscribe(templates.map(template => template.filter), { qos: 1 }, error => {
+                if (error) {
+                    lastError = error.message;
+                    console.error('MQTT subscribe failed:', error.message);
+                }
+            });
+            console.log(`MQTT bridge connected to ${redactUrl(url)}`);
+        });
+        client.on('close', () => {
+            connected = false;
+        });
+        client.on('error', error => {
+            lastError = error.message;
+            console.error('MQTT bridge error:', error.message);
+        });
+        client.on('message', (topic, payload) => {
+            handleMessage(topic, payload);
+        });
+    }
+
+    function status() {
+        return {
+            enabled: true,
+            connected,
+            url: redactUrl(url),
+            topics: templates.map(template => template.filter),
+            lastConnectedAt,
+            lastError,
+            messages: { ...counters }
+        };
+    }
+
+    function close() {
+        return client ? client.endAsync() : Promise.resolve();
+    }
+
+    return { start, status, close };
+}
+
+module.exports = { createMqttBridge };
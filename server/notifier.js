@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { createJsonFile } = require('./jsonFile');
+const { HttpError, ValidationError } = require('./httpError');
+
+const CHANNEL_TYPES = ['email', 'webhook'];
+const WEBHOOK_FORMATS = ['generic', 'slack', 'teams'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_DELIVERY_LOG = 200;
+const HOUR_MS = 60 * 60 * 1000;
+
+const THEME_COLORS = {
+    critical: 'D32F2F',
+    warning: 'ED6C02',
+    resolved: '2E7D32'
+};
+
+// Validates a full channel, filling in defaults for optional fields
+function normalizeChannel(input) {
+    const channel = {
+        name: input.name,
+        type: input.type,
+        enabled: input.enabled === undefined ? true : input.enabled
+    };
+
+    if (typeof channel.name !== 'string' || !channel.name.trim()) {
+        throw ValidationError.field('name', 'Channel name is required');
+    }
+    channel.name = channel.name.trim();
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+        throw ValidationError.field('type', `Channel type must be one of ${CHANNEL_TYPES.join(', ')}`);
+    }
+    if (typeof channel.enabled !== 'boolean') {
+        throw ValidationError.field('enabled', 'Channel enabled must be a boolean');
+    }
+
+    if (channel.type === 'email') {
+        const to = typeof input.to === 'string' ? [input.to] : input.to;
+        if (!Array.isArray(to) || to.length === 0 || !to.every(address => EMAIL_PATTERN.test(address))) {
+            throw ValidationError.field('to', 'Email channels need one or more recipient addresses');
+        }
+        channel.to = to;
+    } else {
+        let url;
+        try {
+            url = new URL(input.url);
+        } catch {
+            url = null;
+        }
+        if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+            throw ValidationError.field('url', 'Webhook channels need an http(s) url');
+        }
+        channel.url = url.toString();
+        channel.format = input.format || 'generic';
+        if (!WEBHOOK_FORMATS.includes(channel.format)) {
+            throw ValidationError.field('format', `Webhook format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+        }
+    }
+
+    return channel;
+}
+
+// Subject line and plain-text body for an alert that opened or cleared
+function alertMessage(kind, alert) {
+    const subject = kind === 'cleared'
+        ? `[RESOLVED] ${alert.ruleName} on ${alert.deviceId}`
+        : `[${alert.severity.toUpperCase()}] ${alert.ruleName} on ${alert.deviceId}`;
+    const lines = [
+        `Rule: ${alert.ruleName} (${alert.sensor} ${alert.type} ${alert.threshold})`,
+        `Device: ${alert.deviceId}`,
+        `Value: ${alert.value}`,
+        `Started: ${alert.startedAt}`
+    ];
+    if (kind === 'cleared') lines.push(`Cleared: ${alert.clearedAt}`);
+
+    return {
+        event: `alert.${kind}`,
+        subject,
+        text: lines.join('\n'),
+        color: kind === 'cleared' ? THEME_COLORS.resolved : THEME_COLORS[alert.severity],
+        alert
+    };
+}
+
+function testMessage(channel) {
+    return {
+        event: 'test',
+        subject: 'Test notification from Structural Health Monitoring',
+        text: `Channel "${channel.name}" is set up to receive alert notifications.`,
+        color: THEME_COLORS.resolved,
+        alert: null
+    };
+}
+
+// Request body for each webhook flavour: Slack incoming webhooks take
+// { text }, Teams connectors a MessageCard, anything else the raw event
+function webhookPayload(format, message) {
+    if (format === 'slack') {
+        return { text: `*${message.subject}*\n${message.text}` };
+    }
+    if (format === 'teams') {
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: message.subject,
+            themeColor: message.color,
+            title: message.subject,
+            text: message.text.replace(/\n/g, '<br>')
+        };
+    }
+    return { event: message.event, subject: message.subject, text: message.text, alert: message.alert };
+}
+
+// An error retrying will not fix, such as a 4xx answer or missing SMTP
+// settings
+function permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Email (SMTP) and webhook notification channels for alert events.
+//
+// Alert rules list the ids of the channels they notify. Each delivery is
+// retried with exponential backoff; a repeat of the same rule, device and
+// transition on a channel within `dedupeMinutes` is suppressed, and each
+// channel sends at most `rateLimitPerHour` messages an hour. Channels are
+// persisted as a JSON document; the delivery log is kept in memory.
+function createNotifier({
+    file,
+    smtp = {},
+    retryAttempts = 3,
+    retryDelayMs = 1000,
+    dedupeMinutes = 15,
+    rateLimitPerHour = 20
+}) {
+    const document = createJsonFile(file, { channels: [] });
+    const transport = smtp.host
+        ? nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+        })
+        : null;
+    const lastSent = new Map();
+    const sentTimes = new Map();
+    let deliveries = [];
+
+    function channels() {
+        return document.get().channels;
+    }
+
+    function load() {
+        return document.load();
+    }
+
+    function listChannels() {
+        return channels();
+    }
+
+    function getChannel(id) {
+        return channels().find(channel => channel.id === id) || null;
+    }
+
+    async function createChannel(input) {
+        const now = new Date().toISOString();
+        const channel = { id: crypto.randomUUID(), ...normalizeChannel(input), createdAt: now, updatedAt: now };
+        await document.save({ channels: [...channels(), channel] });
+        return channel;
+    }
+
+    async function updateChannel(id, input) {
+        const existing = getChannel(id);
+        if (!existing) {
+            throw new HttpError(404, `Notification channel ${id} not found`);
+        }
+
+        const channel = {
+            id,
+            ...normalizeChannel({ ...existing, ...input }),
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+        await document.save({ channels: channels().map(item => (item.id === id ? channel : item)) });
+        return channel;
+    }
+
+    async function removeChannel(id) {
+        if (!getChannel(id)) {
+            throw new HttpError(404, `Notification channel ${id} not found`);
+        }
+        await document.save({ channels: channels().filter(channel => channel.id !== id) });
+    }
+
+    async function sendOnce(channel, message) {
+        if (channel.type === 'email') {
+            if (!transport) {
+                throw permanentError('SMTP is not configured: set SMTP_HOST');
+            }
+            await transport.sendMail({
+                from: smtp.from,
+                to: channel.to.join(', '),
+                subject: message.subject,
+                text: message.text
+            });
+            return;
+        }
+
+        const response = await fetch(channel.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(webhookPayload(channel.format, message)),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            const error = new Error(`Webhook answered ${response.status}`);
+            // Rate-limited or failing receivers may recover; other 4xx will not
+            error.permanent = response.status < 500 && response.status !== 429;
+            throw error;
+        }
+    }
+
+    function record(entry) {
+        const delivery = { id: crypto.randomUUID(), ...entry, at: new Date().toISOString() };
+        deliveries = [...deliveries, delivery].slice(-MAX_DELIVERY_LOG);
+        if (delivery.status === 'failed') {
+            console.error(`Notification to ${delivery.channelName} failed: ${delivery.error}`);
+        }
+        return delivery;
+    }
+
+    // Sends with retries and records the outcome
+    async function deliver(channel, message) {
+        const entry = {
+            channelId: channel.id,
+            channelName: channel.name,
+            event: message.event,
+            alertId: message.alert ? message.alert.id : null
+        };
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await sendOnce(channel, message);
+                return record({ ...entry, status: 'sent', attempts: attempt, error: null });
+            } catch (error) {
+                if (error.permanent || attempt >= retryAttempts) {
+                    // fetch reports connection problems as the error's cause
+                    const reason = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+                    return record({ ...entry, status: 'failed', attempts: attempt, error: reason });
+                }
+                await sleep(retryDelayMs * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    // Forgets de-duplication and rate-limit entries older than their
+    // windows, so the maps only hold what can still suppress a message
+    function pruneExpired(now) {
+        lastSent.forEach((time, key) => {
+            if (now - time >= dedupeMinutes * 60 * 1000) lastSent.delete(key);
+        });
+        sentTimes.forEach((times, channelId) => {
+            const recent = times.filter(time => time > now - HOUR_MS);
+            if (recent.length > 0) {
+                sentTimes.set(channelId, recent);
+            } else {
+                sentTimes.delete(channelId);
+            }
+        });
+    }
+
+    // Whether `channel` may send now, counting the message if so; expects
+    // pruneExpired to have dropped sends older than an hour
+    function takeRateSlot(channel, now) {
+        const recent = sentTimes.get(channel.id) || [];
+        if (recent.length >= rateLimitPerHour) return false;
+        sentTimes.set(channel.id, [...recent, now]);
+        return true;
+    }
+
+    // Notifies the channels of `rule` that `alert` opened or cleared
+    // (`kind`). Deliveries run in the background; the returned promise
+    // settles once they have all finished.
+    function notify(kind, alert, rule) {
+        const now = Date.now();
+        const message = alertMessage(kind, alert);
+        pruneExpired(now);
+
+        return Promise.all((rule?.channels || []).map(channelId => {
+            const channel = getChannel(channelId);
+            if (!channel || !channel.enabled) return null;
+
+            const entry = {
+                channelId,
+                channelName: channel.name,
+                event: message.event,
+                alertId: alert.id
+            };
+            const dedupeKey = `${channelId}:${alert.ruleId}:${alert.deviceId}:${kind}`;
+
+            if (now - (lastSent.get(dedupeKey) || 0) < dedupeMinutes * 60 * 1000) {
+                return record({ ...entry, status: 'suppressed', attempts: 0, error: null });
+            }
+            if (!takeRateSlot(channel, now)) {
+                return record({ ...entry, status: 'rate-limited', attempts: 0, error: null });
+            }
+
+            lastSent.set(dedupeKey, now);
+            return deliver(channel, message);
+        }));
+    }
+
+    // Sends a test message straight away, bypassing de-duplication and rate
+    // limits; fails with 502 when the channel could not be reached
+    async function sendTest(id) {
+        const channel = getChannel(id);
+        if (!channel) {
+            throw new HttpError(404, `Notification channel ${id} not found`);
+        }
+
+        const delivery = await deliver(channel, testMessage(channel));
+        if (delivery.status === 'failed') {
+            throw new HttpError(502, `Test notification failed after ${delivery.attempts} attempt(s): ${delivery.error}`, {
+                code: 'DELIVERY_FAILED'
+            });
+        }
+        return delivery;
+    }
+
+    // Newest deliveries first, optionally for one channel
+    function listDeliveries({ channelId, limit = 50 } = {}) {
+        return deliveries
+            .filter(delivery => !channelId || delivery.channelId === channelId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    return {
+        load,
+        listChannels,
+        getChannel,
+        createChannel,
+        updateChannel,
+        removeChannel,
+        notify,
+        sendTest,
+        listDeliveries
+    };
+}
+
+module.exports = { createNotifier };
@@ -0,0 +1,42 @@
+// Parses a query-string time given as epoch milliseconds or an ISO-8601
+// date; returns undefined when absent and NaN when unparseable
+function parseTimeParam(value) {
+    if (value === undefined || value === '') return undefined;
+    if (/^\d+$/.test(value)) return Number(value);
+    return Date.parse(value);
+}
+
+// The optional ?from=&to= window of a query as epoch milliseconds, with an
+// error for each bound that does not parse and for a window that runs
+// backwards
+function parseTimeRange(query) {
+    const errors = [];
+    const from = parseTimeParam(query.from);
+    const to = parseTimeParam(query.to);
+
+    if (Number.isNaN(from)) {
+        errors.push({ field: 'from', code: 'type', message: 'must be epoch milliseconds or an ISO-8601 date' });
+    }
+    if (Number.isNaN(to)) {
+        errors.push({ field: 'to', code: 'type', message: 'must be epoch milliseconds or an ISO-8601 date' });
+    }
+    if (from !== undefined && to !== undefined && from > to) {
+        errors.push({ field: 'from', code: 'range', message: 'must not be after to' });
+    }
+
+    return { from, to, errors };
+}
+
+// ?limit= as a positive integer, `defaultLimit` when absent, with an error
+// when it is anything else
+function parseLimit(query, defaultLimit) {
+    if (query.limit === undefined) return { limit: defaultLimit, errors: [] };
+
+    const limit = Number(query.limit);
+    if (!/^\d+$/.test(query.limit) || limit < 1) {
+        return { limit, errors: [{ field: 'limit', code: 'type', message: 'must be a positive integer' }] };
+    }
+    return { limit, errors: [] };
+}
+
+module.exports = { parseTimeParam, parseTimeRange, parseLimit };
@@ -0,0 +1,107 @@
+const { HttpError } = require('./httpError');
+const { summarize } = require('./export');
+const { aggregateReadings, INTERVALS } = require('./aggregate');
+const { zonedParts } = require('./timezones');
+
+const REPORT_PERIODS = {
+    daily: INTERVALS['1d'],
+    weekly: 7 * INTERVALS['1d']
+};
+const MAX_REPORT_DAYS = 31;
+// Trend charts are drawn from about this many buckets, whatever the window
+const TREND_POINTS = 96;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Base name for a report file, e.g. shm-report_north-bridge_2026-10-18,
+// dated by the end of its window in the structure's time zone
+function reportFileName(structure, to, timeZone) {
+    const { year, month, day } = zonedParts(to, timeZone);
+    const slug = structure.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'structure';
+    return `shm-report_${slug}_${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Collects everything an inspection report on one structure shows for the
+// window `from`..`to` (epoch milliseconds): per device, summary statistics
+// and anomaly counts per sensor, downsampled trends and data availability;
+// for the structure, the alert events that were open at any point in the
+// window. Times are UTC ISO-8601; `timezone` is the structure's display
+// zone. Rendering to HTML or PDF is left to reportFormats.js.
+function createReportGenerator({ sensorCatalog, deviceRegistry, sensorStore, alertEngine, deviceHealth }) {
+    // Oldest first, so the log reads as a timeline
+    function alertLog(deviceIds, from, to) {
+        return alertEngine.listEvents({ limit: Infinity })
+            .filter(event => deviceIds.includes(event.deviceId))
+            .filter(event => Date.parse(event.startedAt) <= to
+                && (!event.clearedAt || Date.parse(event.clearedAt) >= from))
+            .reverse();
+    }
+
+    function deviceSection(device, from, to, bucketMs, sensors) {
+        const { data: readings } = sensorStore.query({
+            deviceId: device.id,
+            from,
+            to,
+            order: 'asc',
+            limit: sensorStore.count(device.id)
+        });
+        const trend = aggregateReadings(readings, bucketMs, sensors.map(sensor => sensor.id));
+        const summary = summarize(readings, sensors).map(row => ({
+            ...row,
+            anomalies: trend.reduce((total, bucket) => total + (bucket[row.sensor] ? bucket[row.sensor].anomalies : 0), 0)
+        }));
+
+        return {
+            id: device.id,
+            name: device.name,
+            location: device.location,
+            summary,
+            trend,
+            availability: deviceHealth.availability(device, { from, to })
+        };
+    }
+
+    function build({ structure, from, to }) {
+        if (!deviceRegistry.structures().includes(structure)) {
+            throw new HttpError(404, `Structure ${structure} not found`);
+        }
+
+        const sensors = sensorCatalog.list();
+        const bucketMs = Math.ceil((to - from) / TREND_POINTS / INTERVALS['1m']) * INTERVALS['1m'];
+        const devices = deviceRegistry.list({ structure })
+            .map(device => deviceSection(device, from, to, bucketMs, sensors));
+        const alerts = alertLog(devices.map(device => device.id), from, to);
+        const expected = devices.reduce((total, device) => total + device.availability.expectedReadings, 0);
+        const received = devices.reduce((total, device) => total + Math.min(
+            device.availability.readings,
+            device.availability.expectedReadings
+        ), 0);
+
+        return {
+            structure,
+            timezone: deviceRegistry.structureTimezone(structure),
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            generatedAt: new Date().toISOString(),
+            sensors: sensors.map(({ id, name, unit, color }) => ({ id, name, unit, color })),
+            bucketSeconds: bucketMs / 1000,
+            totals: {
+                devices: devices.length,
+                readings: devices.reduce((total, device) => total + device.availability.readings, 0),
+                availability: expected ? (received / expected) * 100 : 0,
+                alerts: {
+                    warning: alerts.filter(alert => alert.severity === 'warning').length,
+                    critical: alerts.filter(alert => alert.severity === 'critical').length
+                }
+            },
+            devices,
+            alerts
+        };
+    }
+
+    return { build };
+}
+
+module.exports = { createReportGenerator, reportFileName, REPORT_PERIODS, MAX_REPORT_DAYS };
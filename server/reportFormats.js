@@ -0,0 +1,332 @@
+const PDFDocument = require('pdfkit');
+const { formatDateTime } = require('./timezones');
+
+const REPORT_FORMATS = {
+    pdf: 'application/pdf',
+    html: 'text/html; charset=utf-8'
+};
+
+const SEVERITY_COLORS = { warning: '#ed6c02', critical: '#d32f2f' };
+
+// Display name of a sensor id; alerts may name a sensor since removed from
+// the catalog
+function label(report, id) {
+    const sensor = report.sensors.find(item => item.id === id);
+    return sensor ? sensor.name : id;
+}
+
+function chartTitle(sensor, low, high) {
+    const unit = sensor.unit ? ` (${sensor.unit})` : '';
+    return `${sensor.name}${unit}: ${formatNumber(low)} – ${formatNumber(high)}`;
+}
+
+// Times are shown in the structure's display time zone
+function formatTime(report, iso) {
+    return formatDateTime(iso, report.timezone);
+}
+
+function formatNumber(value, digits = 2) {
+    return value === null || value === undefined ? '–' : value.toFixed(digits);
+}
+
+function formatDuration(seconds) {
+    if (seconds < 120) return `${seconds} s`;
+    if (seconds < 7200) return `${Math.round(seconds / 60)} min`;
+    return `${(seconds / 3600).toFixed(1)} h`;
+}
+
+function alertState(report, alert) {
+    if (alert.clearedAt) return `Cleared ${formatTime(report, alert.clearedAt)}`;
+    if (alert.acknowledgedAt) return `Acknowledged by ${alert.acknowledgedBy || 'unknown'}`;
+    return 'Active';
+}
+
+function availabilityLine(availability) {
+    const { percent, readings, expectedReadings, expectedIntervalSeconds, gaps } = availability;
+    if (readings === 0) return 'No readings in this period';
+    const longest = gaps.reduce((max, gap) => Math.max(max, gap.seconds), 0);
+    return `Data availability ${percent.toFixed(1)}% (${readings} of ${expectedReadings} expected readings ` +
+        `at one per ${formatDuration(Math.round(expectedIntervalSeconds))}); ` +
+        (gaps.length ? `${gaps.length} gap(s), longest ${formatDuration(longest)}` : 'no gaps');
+}
+
+// Plot coordinates of one sensor's trend in a width × height box: per run
+// of consecutive buckets, the mean as a line and the min/max envelope as a
+// closed band. Missing buckets break the line rather than being bridged.
+// Null when the sensor has no values in the window.
+function trendGeometry(report, buckets, sensor, width, height) {
+    const trend = buckets.filter(bucket => bucket[sensor]);
+    if (trend.length === 0) return null;
+
+    const from = Date.parse(report.from);
+    const to = Date.parse(report.to);
+    let low = Math.min(...trend.map(bucket => bucket[sensor].min));
+    let high = Math.max(...trend.map(bucket => bucket[sensor].max));
+    if (low === high) {
+        low -= 1;
+        high += 1;
+    }
+
+    const x = time => ((time - from) / (to - from)) * width;
+    const y = value => height - ((value - low) / (high - low)) * height;
+    const runs = [];
+    let run = null;
+
+    trend.forEach((bucket, index) => {
+        if (!run || trend[index - 1].end !== bucket.start) {
+            run = { mean: [], max: [], min: [] };
+            runs.push(run);
+        }
+        const middle = x((Date.parse(bucket.start) + Date.parse(bucket.end)) / 2);
+        run.mean.push([middle, y(bucket[sensor].mean)]);
+        run.max.push([middle, y(bucket[sensor].max)]);
+        run.min.push([middle, y(bucket[sensor].min)]);
+    });
+
+    return {
+        low,
+        high,
+        runs: runs.map(item => ({ mean: item.mean, band: [...item.max, ...item.min.reverse()] }))
+    };
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function svgPoints(points) {
+    return points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+}
+
+function htmlChart(report, device, sensor) {
+    const width = 360;
+    const height = 120;
+    const geometry = trendGeometry(report, device.trend, sensor.id, width, height);
+    if (!geometry) {
+        return `<figure><figcaption>${escapeHtml(sensor.name)}</figcaption><p class="muted">No readings</p></figure>`;
+    }
+
+    const { color } = sensor;
+    const { low, high, runs } = geometry;
+    const shapes = runs.map(run => `<polygon points="${svgPoints(run.band)}" fill="${color}" fill-opacity="0.2" />` +
+        `<polyline points="${svgPoints(run.mean)}" fill="none" stroke="${color}" stroke-width="1.5" />`).join('');
+
+    return `<figure>
+<figcaption>${escapeHtml(chartTitle(sensor, low, high))}</figcaption>
+<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"><rect width="${width}" height="${height}" fill="#fafafa" stroke="#ddd" />${shapes}</svg>
+</figure>`;
+}
+
+function htmlDevice(report, device) {
+    const rows = device.summary.map(row => `<tr><td>${escapeHtml(label(report, row.sensor))}</td><td>${escapeHtml(row.unit)}</td>` +
+        `<td>${row.count}</td><td>${formatNumber(row.min)}</td><td>${formatNumber(row.max)}</td>` +
+        `<td>${formatNumber(row.mean)}</td><td>${row.anomalies}</td></tr>`).join('\n');
+
+    return `<section>
+<h2>${escapeHtml(device.name)} <span class="muted">${escapeHtml(device.id)}${device.location ? ` · ${escapeHtml(device.location)}` : ''}</span></h2>
+<p>${escapeHtml(availabilityLine(device.availability))}</p>
+<table>
+<thead><tr><th>Sensor</th><th>Unit</th><th>Readings</th><th>Min</th><th>Max</th><th>Mean</th><th>Anomalies</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<div class="charts">${report.sensors.map(sensor => htmlChart(report, device, sensor)).join('\n')}</div>
+</section>`;
+}
+
+function renderHtml(report) {
+    const { totals } = report;
+    const alertRows = report.alerts.map(alert => `<tr><td>${formatTime(report, alert.startedAt)}</td>` +
+        `<td>${escapeHtml(alert.deviceId)}</td><td>${escapeHtml(label(report, alert.sensor))}</td>` +
+        `<td style="color:${SEVERITY_COLORS[alert.severity]}">${alert.severity}</td>` +
+        `<td>${formatNumber(alert.value)}</td><td>${formatNumber(alert.threshold)}</td>` +
+        `<td>${escapeHtml(alertState(report, alert))}</td></tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Structural health report: ${escapeHtml(report.structure)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 2em auto; max-width: 800px; }
+h1 { margin-bottom: 0.2em; }
+h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.2em; margin-top: 2em; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+th, td { border-bottom: 1px solid #eee; padding: 4px 6px; text-align: left; }
+.muted { color: #777; font-weight: normal; font-size: 0.8em; }
+.charts { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 1em; }
+figure { margin: 0; }
+figcaption { font-size: 0.8em; color: #555; }
+</style>
+</head>
+<body>
+<h1>Structural health report: ${escapeHtml(report.structure)}</h1>
+<p class="muted">${formatTime(report, report.from)} to ${formatTime(report, report.to)} · generated ${formatTime(report, report.generatedAt)}</p>
+<table>
+<tbody>
+<tr><th>Devices</th><td>${totals.devices}</td></tr>
+<tr><th>Readings</th><td>${totals.readings}</td></tr>
+<tr><th>Data availability</th><td>${totals.availability.toFixed(1)}%</td></tr>
+<tr><th>Alerts</th><td>${totals.alerts.critical} critical, ${totals.alerts.warning} warning</td></tr>
+</tbody>
+</table>
+${report.devices.map(device => htmlDevice(report, device)).join('\n')}
+<section>
+<h2>Alert log</h2>
+${report.alerts.length === 0 ? '<p>No alerts in this period.</p>' : `<table>
+<thead><tr><th>Started</th><th>Device</th><th>Sensor</th><th>Severity</th><th>Value</th><th>Threshold</th><th>Status</th></tr></thead>
+<tbody>
+${alertRows}
+</tbody>
+</table>`}
+</section>
+</body>
+</html>
+`;
+}
+
+// The built-in PDF fonts only cover Latin-1 (plus the dash used in chart
+// titles), so known units are spelled out and anything else left outside
+// is replaced
+function pdfText(value) {
+    return String(value)
+        .replace('μɛ', 'microstrain')
+        .replace(/μ/g, 'µ')
+        .replace(/[^\u0000-\u00ff\u2013]/g, '?');
+}
+
+const PAGE_BOTTOM = 800;
+
+function ensureSpace(doc, height) {
+    if (doc.y + height > PAGE_BOTTOM) doc.addPage();
+}
+
+function pdfRow(doc, cells, widths, { bold = false } = {}) {
+    ensureSpace(doc, 14);
+    const top = doc.y;
+    let x = doc.page.margins.left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    cells.forEach((cell, index) => {
+        doc.text(pdfText(cell), x, top, { width: widths[index] - 4, lineBreak: false, ellipsis: true });
+        x += widths[index];
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = top + 13;
+}
+
+function pdfChart(doc, report, device, sensor, left, top, width, height) {
+    doc.font('Helvetica').fontSize(8).fillColor('#555');
+    doc.rect(left, top + 12, width, height).fillAndStroke('#fafafa', '#dddddd');
+
+    const geometry = trendGeometry(report, device.trend, sensor.id, width, height);
+    if (!geometry) {
+        doc.fillColor('#555').text(pdfText(`${sensor.name}: no readings`), left, top, { lineBreak: false });
+        return;
+    }
+
+    const { color } = sensor;
+    const { low, high, runs } = geometry;
+    doc.fillColor('#555').text(pdfText(chartTitle(sensor, low, high)), left, top, { lineBreak: false });
+
+    const at = ([x, y]) => [left + x, top + 12 + y];
+    runs.forEach(run => {
+        doc.polygon(...run.band.map(at)).fillOpacity(0.2).fill(color).fillOpacity(1);
+        const [first, ...rest] = run.mean.map(at);
+        doc.moveTo(...first);
+        rest.forEach(point => doc.lineTo(...point));
+        doc.lineWidth(1).stroke(color);
+    });
+    doc.fillColor('#222');
+}
+
+function pdfDevice(doc, report, device) {
+    ensureSpace(doc, 120);
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#222').text(pdfText(device.name));
+    doc.font('Helvetica').fontSize(8).fillColor('#777')
+        .text(pdfText([device.id, device.location].filter(Boolean).join(' · ')));
+    doc.fillColor('#222').fontSize(9).text(availabilityLine(device.availability));
+    doc.moveDown(0.5);
+
+    const widths = [80, 70, 60, 70, 70, 70, 95];
+    pdfRow(doc, ['Sensor', 'Unit', 'Readings', 'Min', 'Max', 'Mean', 'Anomalies'], widths, { bold: true });
+    device.summary.forEach(row => pdfRow(doc, [
+        label(report, row.sensor),
+        row.unit,
+        row.count,
+        formatNumber(row.min),
+        formatNumber(row.max),
+        formatNumber(row.mean),
+        row.anomalies
+    ], widths));
+
+    // Two charts per row
+    const width = 245;
+    const height = 80;
+    for (let i = 0; i < report.sensors.length; i += 2) {
+        ensureSpace(doc, height + 24);
+        const top = doc.y + 6;
+        report.sensors.slice(i, i + 2).forEach((sensor, column) => {
+            pdfChart(doc, report, device, sensor, doc.page.margins.left + column * (width + 25), top, width, height);
+        });
+        doc.x = doc.page.margins.left;
+        doc.y = top + height + 18;
+    }
+}
+
+function renderPdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Structural health report: ${report.structure}` } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { totals } = report;
+        doc.font('Helvetica-Bold').fontSize(18).text(pdfText(`Structural health report: ${report.structure}`));
+        doc.font('Helvetica').fontSize(9).fillColor('#777')
+            .text(`${formatTime(report, report.from)} to ${formatTime(report, report.to)} · generated ${formatTime(report, report.generatedAt)}`);
+        doc.moveDown();
+        doc.fillColor('#222').fontSize(10)
+            .text(`Devices: ${totals.devices}`)
+            .text(`Readings: ${totals.readings}`)
+            .text(`Data availability: ${totals.availability.toFixed(1)}%`)
+            .text(`Alerts: ${totals.alerts.critical} critical, ${totals.alerts.warning} warning`);
+
+        report.devices.forEach(device => pdfDevice(doc, report, device));
+
+        ensureSpace(doc, 60);
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(13).text('Alert log');
+        doc.moveDown(0.5);
+        if (report.alerts.length === 0) {
+            doc.font('Helvetica').fontSize(9).text('No alerts in this period.');
+        } else {
+            const widths = [105, 65, 65, 50, 50, 50, 130];
+            pdfRow(doc, ['Started', 'Device', 'Sensor', 'Severity', 'Value', 'Threshold', 'Status'], widths, { bold: true });
+            report.alerts.forEach(alert => pdfRow(doc, [
+                formatTime(report, alert.startedAt),
+                alert.deviceId,
+                label(report, alert.sensor),
+                alert.severity,
+                formatNumber(alert.value),
+                formatNumber(alert.threshold),
+                alertState(report, alert)
+            ], widths));
+        }
+
+        doc.end();
+    });
+}
+
+// Resolves to the report rendered as `format` (a key of REPORT_FORMATS)
+async function renderReport(report, format) {
+    return format === 'pdf' ? renderPdf(report) : Buffer.from(renderHtml(report), 'utf8');
+}
+
+module.exports = { renderReport, REPORT_FORMATS };
@@ -0,0 +1,134 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { reportFileName, REPORT_PERIODS } = require('./report');
+const { renderReport } = require('./reportFormats');
+const { zonedParts, zonedTime } = require('./timezones');
+
+// Structures and their time zones can change while the scheduler waits; it
+// looks again at least this often
+const RECHECK_MS = 5 * 60 * 1000;
+
+// Writes a report on every structure into `dir` once a day (daily) or
+// every Monday (weekly) at `hour` o'clock in the structure's time zone,
+// each covering the period that just ended. Files are named
+// shm-report_<structure>_<date>_<period>.<format>, dated in the same zone;
+// a rerun for the same date overwrites them.
+function createReportScheduler({ reportGenerator, deviceRegistry, dir, period, formats, hour = 6 }) {
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        throw new RangeError(`hour must be a whole hour from 0 to 23, got ${hour}`);
+    }
+
+    let timer = null;
+    // The time runs are scheduled after: start-up, then the latest run
+    let scheduledAfter = null;
+    let lastRun = null;
+
+    // The first scheduled time in `timeZone` strictly after `after`
+    function nextRun(after, timeZone) {
+        const today = zonedParts(after, timeZone);
+        for (let days = 0; days <= 7; days++) {
+            const date = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+            if (period === 'weekly' && date.getUTCDay() !== 1) continue;
+
+            const time = zonedTime({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                hour
+            }, timeZone);
+            if (time > after) return time;
+        }
+        return null;
+    }
+
+    // A structure that fails is logged and skipped so the others still get
+    // their report
+    async function run(to = Date.now(), structures = deviceRegistry.structures()) {
+        const from = to - REPORT_PERIODS[period];
+        const files = [];
+        const errors = [];
+        await fs.mkdir(dir, { recursive: true });
+
+        for (const structure of structures) {
+            try {
+                const report = reportGenerator.build({ structure, from, to });
+                for (const format of formats) {
+                    const file = `${reportFileName(structure, to, report.timezone)}_${period}.${format}`;
+                    await fs.writeFile(path.join(dir, file), await renderReport(report, format));
+                    files.push(file);
+                }
+            } catch (error) {
+                console.error(`Error writing the ${period} report for ${structure}:`, error);
+                errors.push({ structure, message: error.message });
+            }
+        }
+
+        lastRun = { at: new Date(to).toISOString(), files, errors };
+        console.log(`Wrote ${files.length} ${period} report file(s) to ${dir}`);
+        return lastRun;
+    }
+
+    // Each structure's next run after `after`, in its current time zone
+    function upcoming(after) {
+        return deviceRegistry.structures().map(structure => {
+            const timezone = deviceRegistry.structureTimezone(structure);
+            return { structure, timezone, at: nextRun(after, timezone) };
+        });
+    }
+
+    // Sleeps until the next structure is due, or RECHECK_MS at most, then
+    // runs whatever is due by then. Runs that fell due while waiting are
+    // still made, each dated at its own scheduled time.
+    function schedule(after = Date.now()) {
+        scheduledAfter = after;
+        const next = upcoming(after);
+        const nextAt = next.length > 0 ? Math.min(...next.map(item => item.at)) : Infinity;
+
+        timer = setTimeout(() => {
+            const due = upcoming(after).filter(item => item.at <= Date.now());
+            if (due.length === 0) return schedule(after);
+
+            const runAt = Math.min(...due.map(item => item.at));
+            run(runAt, due.filter(item => item.at === runAt).map(item => item.structure))
+                .catch(error => console.error('Scheduled report run failed:', error))
+                .finally(() => schedule(runAt));
+        }, Math.min(Math.max(0, nextAt - Date.now()), RECHECK_MS));
+        timer.unref();
+    }
+
+    function start() {
+        schedule();
+        const { nextRunAt } = status();
+        console.log(`Writing ${period} reports to ${dir}, ${nextRunAt ? `next at ${nextRunAt}` : 'once a structure exists'}`);
+    }
+
+    function status() {
+        const next = timer ? upcoming(scheduledAfter) : [];
+        const nextRunAt = next.length > 0 ? Math.min(...next.map(item => item.at)) : null;
+
+        return {
+            enabled: true,
+            period,
+            formats,
+            hour,
+            dir,
+            nextRunAt: nextRunAt ? new Date(nextRunAt).toISOString() : null,
+            structures: next.map(({ structure, timezone, at }) => ({
+                structure,
+                timezone,
+                nextRunAt: new Date(at).toISOString()
+            })),
+            lastRun
+        };
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+        scheduledAfter = null;
+    }
+
+    return { start, run, status, stop };
+}
+
+module.exports = { createReportScheduler };
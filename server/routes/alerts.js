@@ -0,0 +1,89 @@
+const express = require('express');
+const { ValidationError, sendError } = require('../httpError');
+const { parseLimit } = require('../queryParams');
+
+const EVENT_STATUSES = ['open', 'active', 'acknowledged', 'cleared'];
+
+// Alert history and rule configuration, mounted at /api/alerts
+function createAlertsRouter({ alertEngine, requireRole }) {
+    const router = express.Router();
+
+    router.get('/rules', requireRole('viewer'), (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: alertEngine.rules()
+        });
+    });
+
+    router.post('/rules', requireRole('admin'), async (req, res) => {
+        try {
+            const rule = await alertEngine.createRule(req.body || {});
+            res.status(201).json({
+                success: true,
+                data: rule
+            });
+        } catch (error) {
+            sendError(res, error, 'Error creating alert rule');
+        }
+    });
+
+    router.put('/rules/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const rule = await alertEngine.updateRule(req.params.id, req.body || {});
+            res.status(200).json({
+                success: true,
+                data: rule
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating alert rule');
+        }
+    });
+
+    router.delete('/rules/:id', requireRole('admin'), async (req, res) => {
+        try {
+            await alertEngine.removeRule(req.params.id);
+            res.status(200).json({
+                success: true,
+                message: `Alert rule ${req.params.id} deleted`
+            });
+        } catch (error) {
+            sendError(res, error, 'Error deleting alert rule');
+        }
+    });
+
+    // List alert events, newest first; supports ?status=open|active|
+    // acknowledged|cleared, ?deviceId= and ?limit=
+    router.get('/', requireRole('viewer'), (req, res) => {
+        const { status, deviceId } = req.query;
+        const { limit, errors } = parseLimit(req.query, 100);
+
+        if (status && !EVENT_STATUSES.includes(status)) {
+            errors.unshift({ field: 'status', code: 'invalid', message: `must be one of ${EVENT_STATUSES.join(', ')}` });
+        }
+        if (errors.length > 0) {
+            return sendError(res, new ValidationError(errors));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: alertEngine.listEvents({ status, deviceId, limit })
+        });
+    });
+
+    // Recorded as acknowledged by the signed-in user
+    router.post('/:id/acknowledge', requireRole('operator'), async (req, res) => {
+        try {
+            const event = await alertEngine.acknowledge(req.params.id, req.auth.user.username);
+            res.status(200).json({
+                success: true,
+                data: event
+            });
+        } catch (error) {
+            sendError(res, error, 'Error acknowledging alert');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAlertsRouter };
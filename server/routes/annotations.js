@@ -0,0 +1,88 @@
+const express = require('express');
+const { ValidationError, sendError, sendErrorResponse } = require('../httpError');
+const { CATEGORIES } = require('../annotations');
+const { parseTimeRange } = require('../queryParams');
+
+// Event annotations shown on the dashboard timeline, mounted at
+// /api/annotations. Operators record them; everyone can read them.
+function createAnnotationsRouter({ annotationStore, requireRole }) {
+    const router = express.Router();
+
+    // Optionally only one ?structure= or ?category=, overlapping
+    // ?from=..?to=
+    router.get('/', requireRole('viewer'), (req, res) => {
+        try {
+            const { structure, category } = req.query;
+            if (category !== undefined && !CATEGORIES.includes(category)) {
+                throw ValidationError.field('category', `must be one of ${CATEGORIES.join(', ')}`);
+            }
+            const { from, to, errors } = parseTimeRange(req.query);
+            if (errors.length > 0) {
+                throw new ValidationError(errors);
+            }
+
+            res.status(200).json({
+                success: true,
+                data: annotationStore.list({ structure, category, from, to }),
+                categories: CATEGORIES
+            });
+        } catch (error) {
+            sendError(res, error, 'Error retrieving annotations');
+        }
+    });
+
+    router.get('/:id', requireRole('viewer'), (req, res) => {
+        const annotation = annotationStore.get(req.params.id);
+
+        if (!annotation) {
+            return sendErrorResponse(res, 404, `Annotation ${req.params.id} not found`);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: annotation
+        });
+    });
+
+    // Body: { structure, category?, text, start, end? }; times as epoch
+    // milliseconds or ISO-8601. The author is the signed-in user.
+    router.post('/', requireRole('operator'), async (req, res) => {
+        try {
+            const annotation = await annotationStore.create(req.body || {}, req.auth.user.username);
+            res.status(201).json({
+                success: true,
+                data: annotation
+            });
+        } catch (error) {
+            sendError(res, error, 'Error creating annotation');
+        }
+    });
+
+    router.put('/:id', requireRole('operator'), async (req, res) => {
+        try {
+            const annotation = await annotationStore.update(req.params.id, req.body || {});
+            res.status(200).json({
+                success: true,
+                data: annotation
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating annotation');
+        }
+    });
+
+    router.delete('/:id', requireRole('operator'), async (req, res) => {
+        try {
+            await annotationStore.remove(req.params.id);
+            res.status(200).json({
+                success: true,
+                message: `Annotation ${req.params.id} deleted`
+            });
+        } catch (error) {
+            sendError(res, error, 'Error deleting annotation');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAnnotationsRouter };
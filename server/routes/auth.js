@@ -0,0 +1,61 @@
+const express = require('express');
+const { HttpError, sendError } = require('../httpError');
+
+// Login/logout for dashboard users, mounted at /api/auth
+function createAuthRouter({ authService }) {
+    const router = express.Router();
+
+    router.post('/login', (req, res) => {
+        try {
+            const { username, password } = req.body || {};
+            const session = authService.login(username, password, { ip: req.ip });
+            res.status(200).json({
+                success: true,
+                data: session
+            });
+        } catch (error) {
+            sendError(res, error, 'Error logging in');
+        }
+    });
+
+    router.post('/logout', (req, res) => {
+        if (req.auth?.token) {
+            authService.logout(req.auth.token);
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Logged out'
+        });
+    });
+
+    // The user behind the current token
+    router.get('/me', authService.requireRole('viewer'), (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: req.auth.user
+        });
+    });
+
+    // Users' own preferences. Body: { timezone: IANA zone, or null to
+    // follow the structure being viewed }
+    router.put('/me', authService.requireRole('viewer'), async (req, res) => {
+        if (!req.auth.token) {
+            return sendError(res, new HttpError(409, 'Preferences are only saved for signed-in users'));
+        }
+
+        try {
+            const { timezone } = req.body || {};
+            const user = await authService.updateUser(req.auth.user.id, { timezone: timezone === undefined ? null : timezone });
+            res.status(200).json({
+                success: true,
+                data: user
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating preferences');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,154 @@
+const express = require('express');
+const { HttpError, ValidationError, sendError, sendErrorResponse } = require('../httpError');
+const { deviceCalibration } = require('../calibration');
+
+// CRUD routes for the device/structure registry, mounted at /api/devices
+function createDevicesRouter({ deviceRegistry, sensorStore, sensorCatalog, deviceHealth, requireRole }) {
+    const router = express.Router();
+
+    // List devices, optionally only those on one ?structure=
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: deviceRegistry.list({ structure: req.query.structure }),
+            structures: deviceRegistry.structures()
+        });
+    });
+
+    // Online/stale/offline status, data gaps and sensor faults of every
+    // device, optionally only those on one ?structure=; ?hours= sets the
+    // window gaps are looked for in (default 24)
+    router.get('/status', requireRole('viewer'), (req, res) => {
+        const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+
+        if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 30) {
+            return sendError(res, ValidationError.field('hours', 'must be a number of hours between 0 and 720'));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: deviceHealth.list({ structure: req.query.structure, windowHours: hours })
+        });
+    });
+
+    router.get('/:id', requireRole('viewer'), (req, res) => {
+        const device = deviceRegistry.get(req.params.id);
+
+        if (!device) {
+            return sendErrorResponse(res, 404, `Device ${req.params.id} not found`);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: device
+        });
+    });
+
+    router.post('/', requireRole('admin'), async (req, res) => {
+        try {
+            const device = await deviceRegistry.create(req.body || {});
+            res.status(201).json({
+                success: true,
+                data: device
+            });
+        } catch (error) {
+            sendError(res, error, 'Error creating device');
+        }
+    });
+
+    router.put('/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const device = await deviceRegistry.update(req.params.id, req.body || {});
+            res.status(200).json({
+                success: true,
+                data: device
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating device');
+        }
+    });
+
+    // Effective calibration of every sensor, identity where none is set
+    router.get('/:id/calibration', requireRole('viewer'), (req, res) => {
+        const device = deviceRegistry.get(req.params.id);
+
+        if (!device) {
+            return sendErrorResponse(res, 404, `Device ${req.params.id} not found`);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: deviceCalibration(device, sensorCatalog.ids())
+        });
+    });
+
+    // Body: { [sensor]: { gain?, offset?, zero?, temperatureCoefficient?,
+    // referenceTemperature? } }; null resets a sensor. Applies to readings
+    // ingested from now on.
+    router.put('/:id/calibration', requireRole('admin'), async (req, res) => {
+        try {
+            const device = await deviceRegistry.setCalibration(req.params.id, req.body || {});
+            res.status(200).json({
+                success: true,
+                data: deviceCalibration(device, sensorCatalog.ids())
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating calibration');
+        }
+    });
+
+    // Zero-reset: takes the device's latest raw values as the new zero, for
+    // the sensors in body.sensors (default: all the latest reading carries)
+    router.post('/:id/calibration/zero', requireRole('operator'), async (req, res) => {
+        try {
+            const known = sensorCatalog.ids();
+            const sensors = req.body?.sensors;
+            if (sensors !== undefined && (!Array.isArray(sensors) || sensors.some(sensor => !known.includes(sensor)))) {
+                throw ValidationError.field('sensors', `must be an array of ${known.join(', ')}`);
+            }
+            if (!deviceRegistry.get(req.params.id)) {
+                throw new HttpError(404, `Device ${req.params.id} not found`);
+            }
+
+            const [latest] = sensorStore.latest(1, req.params.id);
+            if (!latest) {
+                throw new HttpError(409, `Device ${req.params.id} has no readings to zero against`);
+            }
+
+            const values = latest.raw || latest;
+            const zeroed = sensors || known.filter(sensor => typeof values[sensor] === 'number');
+            const missing = zeroed.find(sensor => typeof values[sensor] !== 'number');
+            if (missing) {
+                throw new HttpError(409, `The latest reading of ${req.params.id} has no ${missing} value to zero against`);
+            }
+
+            const update = {};
+            zeroed.forEach(sensor => {
+                update[sensor] = { zero: values[sensor] };
+            });
+            const device = await deviceRegistry.setCalibration(req.params.id, update);
+            res.status(200).json({
+                success: true,
+                data: deviceCalibration(device, sensorCatalog.ids())
+            });
+        } catch (error) {
+            sendError(res, error, 'Error zeroing sensors');
+        }
+    });
+
+    router.delete('/:id', requireRole('admin'), async (req, res) => {
+        try {
+            await deviceRegistry.remove(req.params.id);
+            res.status(200).json({
+                success: true,
+                message: `Device ${req.params.id} deleted`
+            });
+        } catch (error) {
+            sendError(res, error, 'Error deleting device');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createDevicesRouter };
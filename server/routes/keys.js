@@ -0,0 +1,44 @@
+const express = require('express');
+const { sendError } = require('../httpError');
+
+// Per-device API key management for admins, mounted at /api/keys
+function createKeysRouter({ authService }) {
+    const router = express.Router();
+
+    // List keys (never the keys themselves), optionally for one ?deviceId=
+    router.get('/', (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: authService.listKeys({ deviceId: req.query.deviceId })
+        });
+    });
+
+    // Body: { deviceId, name? }. The plain key is only returned here.
+    router.post('/', async (req, res) => {
+        try {
+            const key = await authService.createKey(req.body || {});
+            res.status(201).json({
+                success: true,
+                data: key
+            });
+        } catch (error) {
+            sendError(res, error, 'Error creating API key');
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const key = await authService.revokeKey(req.params.id);
+            res.status(200).json({
+                success: true,
+                data: key
+            });
+        } catch (error) {
+            sendError(res, error, 'Error revoking API key');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createKeysRouter };
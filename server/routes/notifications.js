@@ -0,0 +1,85 @@
+const express = require('express');
+const { ValidationError, sendError } = require('../httpError');
+const { parseLimit } = require('../queryParams');
+
+// Notification channel management for admins, mounted at
+// /api/notifications. Rules opt into channels via their `channels` ids.
+function createNotificationsRouter({ notifier, alertEngine }) {
+    const router = express.Router();
+
+    router.get('/channels', (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: notifier.listChannels()
+        });
+    });
+
+    // Body: { name, type: 'email', to: [addresses] } or
+    // { name, type: 'webhook', url, format?: 'generic'|'slack'|'teams' }
+    router.post('/channels', async (req, res) => {
+        try {
+            const channel = await notifier.createChannel(req.body || {});
+            res.status(201).json({
+                success: true,
+                data: channel
+            });
+        } catch (error) {
+            sendError(res, error, 'Error creating notification channel');
+        }
+    });
+
+    router.put('/channels/:id', async (req, res) => {
+        try {
+            const channel = await notifier.updateChannel(req.params.id, req.body || {});
+            res.status(200).json({
+                success: true,
+                data: channel
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating notification channel');
+        }
+    });
+
+    router.delete('/channels/:id', async (req, res) => {
+        try {
+            await notifier.removeChannel(req.params.id);
+            await alertEngine.detachChannel(req.params.id);
+            res.status(200).json({
+                success: true,
+                message: `Notification channel ${req.params.id} deleted`
+            });
+        } catch (error) {
+            sendError(res, error, 'Error deleting notification channel');
+        }
+    });
+
+    // Sends a test message now and reports the delivery
+    router.post('/channels/:id/test', async (req, res) => {
+        try {
+            const delivery = await notifier.sendTest(req.params.id);
+            res.status(200).json({
+                success: true,
+                data: delivery
+            });
+        } catch (error) {
+            sendError(res, error, 'Error sending test notification');
+        }
+    });
+
+    // Recent deliveries, newest first; supports ?channelId= and ?limit=
+    router.get('/deliveries', (req, res) => {
+        const { limit, errors } = parseLimit(req.query, 50);
+        if (errors.length > 0) {
+            return sendError(res, new ValidationError(errors));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: notifier.listDeliveries({ channelId: req.query.channelId, limit })
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,59 @@
+const express = require('express');
+const { sendError } = require('../httpError');
+
+// The sensor catalog readings, exports and dashboards follow, mounted at
+// /api/sensors
+function createSensorsRouter({ sensorCatalog, alertEngine, requireRole }) {
+    const router = express.Router();
+
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: sensorCatalog.list()
+        });
+    });
+
+    // Body: { id, name, unit?, color?: '#rrggbb', min, max, required? }
+    router.post('/', requireRole('admin'), async (req, res) => {
+        try {
+            const sensor = await sensorCatalog.create(req.body || {});
+            res.status(201).json({
+                success: true,
+                data: sensor
+            });
+        } catch (error) {
+            sendError(res, error, 'Error creating sensor');
+        }
+    });
+
+    // New limits apply to readings ingested from now on
+    router.put('/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const sensor = await sensorCatalog.update(req.params.id, req.body || {});
+            res.status(200).json({
+                success: true,
+                data: sensor
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating sensor');
+        }
+    });
+
+    // Also deletes the sensor's alert rules, closing their open alerts
+    router.delete('/:id', requireRole('admin'), async (req, res) => {
+        try {
+            await sensorCatalog.remove(req.params.id);
+            await alertEngine.removeSensorRules(req.params.id);
+            res.status(200).json({
+                success: true,
+                message: `Sensor ${req.params.id} deleted`
+            });
+        } catch (error) {
+            sendError(res, error, 'Error deleting sensor');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSensorsRouter };
@@ -0,0 +1,38 @@
+const express = require('express');
+const { sendError } = require('../httpError');
+
+// Control of the built-in data simulator, mounted at /api/simulator
+function createSimulatorRouter({ simulator, requireRole }) {
+    const router = express.Router();
+
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: simulator.status()
+        });
+    });
+
+    // Body: { profile?, deviceIds?, intervalMs? }; restarts a running
+    // simulator with the new settings
+    router.post('/start', requireRole('admin'), (req, res) => {
+        try {
+            res.status(200).json({
+                success: true,
+                data: simulator.start(req.body || {})
+            });
+        } catch (error) {
+            sendError(res, error, 'Error starting simulator');
+        }
+    });
+
+    router.post('/stop', requireRole('admin'), (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: simulator.stop()
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createSimulatorRouter };
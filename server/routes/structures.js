@@ -0,0 +1,32 @@
+const express = require('express');
+const { sendError } = require('../httpError');
+
+// Structures named by registered devices and their settings, mounted at
+// /api/structures
+function createStructuresRouter({ deviceRegistry, requireRole }) {
+    const router = express.Router();
+
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: deviceRegistry.listStructures()
+        });
+    });
+
+    // Body: { timezone: IANA zone such as Europe/London, or null }
+    router.put('/:name', requireRole('admin'), async (req, res) => {
+        try {
+            const structure = await deviceRegistry.updateStructure(req.params.name, req.body || {});
+            res.status(200).json({
+                success: true,
+                data: structure
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating structure');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createStructuresRouter };
@@ -0,0 +1,33 @@
+const express = require('express');
+const { sendError } = require('../httpError');
+
+// Per-sensor warning/critical thresholds shared by every dashboard,
+// mounted at /api/thresholds
+function createThresholdsRouter({ alertEngine, requireRole }) {
+    const router = express.Router();
+
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: alertEngine.thresholds()
+        });
+    });
+
+    // Body: { [sensor]: { warning, critical } }; omitted sensors and levels
+    // are left unchanged, null removes a threshold
+    router.put('/', requireRole('operator'), async (req, res) => {
+        try {
+            const thresholds = await alertEngine.setThresholds(req.body || {});
+            res.status(200).json({
+                success: true,
+                data: thresholds
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating thresholds');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createThresholdsRouter };
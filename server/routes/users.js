@@ -0,0 +1,55 @@
+const express = require('express');
+const { sendError } = require('../httpError');
+
+// User management for admins, mounted at /api/users
+function createUsersRouter({ authService }) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: authService.listUsers()
+        });
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const user = await authService.createUser(req.body || {});
+            res.status(201).json({
+                success: true,
+                data: user
+            });
+        } catch (error) {
+            sendError(res, error, 'Error creating user');
+        }
+    });
+
+    // Body: { role?, password?, timezone? }
+    router.put('/:id', async (req, res) => {
+        try {
+            const user = await authService.updateUser(req.params.id, req.body || {});
+            res.status(200).json({
+                success: true,
+                data: user
+            });
+        } catch (error) {
+            sendError(res, error, 'Error updating user');
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            await authService.removeUser(req.params.id);
+            res.status(200).json({
+                success: true,
+                message: `User ${req.params.id} deleted`
+            });
+        } catch (error) {
+            sendError(res, error, 'Error deleting user');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,145 @@
+const { createJsonFile } = require('./jsonFile');
+const { HttpError, ValidationError } = require('./httpError');
+
+const SENSOR_ID_PATTERN = /^[a-z][A-Za-z0-9_]{0,31}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DEFAULT_COLOR = '#607D8B';
+// Reading fields that are not sensor values. `temperature` is the
+// compensation temperature (see calibration.js), so a temperature channel
+// needs another id, such as airTemperature.
+const RESERVED_IDS = ['deviceId', 'timestamp', 'temperature', 'raw', 'anomaly', 'id', 'receivedAt', 'simulated'];
+
+// The channels every reading carried before the catalog was configurable.
+// Limits are physically plausible values; anything outside is treated as a
+// transmission or sensor fault and rejected at ingestion.
+const DEFAULT_SENSORS = [
+    { id: 'strain', name: 'Strain', unit: 'μɛ', color: '#4CAF50', min: -10000, max: 10000, required: true },
+    { id: 'vibration', name: 'Vibration', unit: 'mm/s', color: '#2196F3', min: 0, max: 5000, required: true },
+    { id: 'displacement', name: 'Displacement', unit: 'mm', color: '#FFC107', min: -1000, max: 1000, required: true },
+    { id: 'acceleration', name: 'Acceleration', unit: 'm/s²', color: '#F44336', min: -2000, max: 2000, required: true }
+];
+
+// Validates a full sensor definition, filling in defaults for optional
+// fields
+function normalizeSensor(input) {
+    const sensor = {
+        name: input.name,
+        unit: input.unit === undefined ? '' : input.unit,
+        color: input.color || DEFAULT_COLOR,
+        min: input.min,
+        max: input.max,
+        required: input.required === undefined ? false : input.required
+    };
+
+    if (typeof sensor.name !== 'string' || !sensor.name.trim()) {
+        throw ValidationError.field('name', 'Sensor name is required');
+    }
+    sensor.name = sensor.name.trim();
+    if (typeof sensor.unit !== 'string') {
+        throw ValidationError.field('unit', 'Sensor unit must be a string');
+    }
+    if (!COLOR_PATTERN.test(sensor.color)) {
+        throw ValidationError.field('color', 'Sensor color must be a #rrggbb hex colour');
+    }
+    if (typeof sensor.min !== 'number' || !Number.isFinite(sensor.min)) {
+        throw ValidationError.field('min', 'Sensor min must be a finite number');
+    }
+    if (typeof sensor.max !== 'number' || !Number.isFinite(sensor.max)) {
+        throw ValidationError.field('max', 'Sensor max must be a finite number');
+    }
+    if (sensor.min >= sensor.max) {
+        throw ValidationError.field('max', 'Sensor max must be greater than min', 'range');
+    }
+    if (typeof sensor.required !== 'boolean') {
+        throw ValidationError.field('required', 'Sensor required must be a boolean');
+    }
+
+    return sensor;
+}
+
+// Catalog of the measurement channels readings carry: display name, unit,
+// dashboard colour and valid range of each. Ingestion, export, alerting and
+// the dashboard all follow it. A `required` sensor must be in every
+// reading; others are stored when a device sends them. Persisted as a JSON
+// document.
+function createSensorCatalog({ file }) {
+    const document = createJsonFile(file, { sensors: DEFAULT_SENSORS });
+
+    async function load() {
+        await document.load();
+    }
+
+    function list() {
+        return document.get().sensors;
+    }
+
+    function ids() {
+        return list().map(sensor => sensor.id);
+    }
+
+    function get(id) {
+        return list().find(sensor => sensor.id === id) || null;
+    }
+
+    async function create(input) {
+        const { id } = input;
+
+        if (typeof id !== 'string' || !SENSOR_ID_PATTERN.test(id)) {
+            throw ValidationError.field('id', 'Sensor id must start with a lowercase letter and have up to 32 letters, digits or underscores');
+        }
+        if (RESERVED_IDS.includes(id)) {
+            throw ValidationError.field('id', `Sensor id ${id} is reserved for another reading field`);
+        }
+        if (get(id)) {
+            throw new HttpError(409, `Sensor ${id} already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const sensor = { id, ...normalizeSensor(input), createdAt: now, updatedAt: now };
+        await document.save({ sensors: [...list(), sensor] });
+        return sensor;
+    }
+
+    // Partial update; the id cannot change since stored readings use it
+    async function update(id, input) {
+        const existing = get(id);
+        if (!existing) {
+            throw new HttpError(404, `Sensor ${id} not found`);
+        }
+
+        const sensor = {
+            ...existing,
+            ...normalizeSensor({ ...existing, ...input }),
+            updatedAt: new Date().toISOString()
+        };
+        await document.save({
+            sensors: list().map(item => (item.id === id ? sensor : item))
+        });
+        return sensor;
+    }
+
+    // Stored readings keep their values for a removed sensor, but nothing
+    // shows or checks them any more
+    async function remove(id) {
+        if (!get(id)) {
+            throw new HttpError(404, `Sensor ${id} not found`);
+        }
+        if (list().length === 1) {
+            throw new HttpError(400, 'The last sensor cannot be deleted');
+        }
+
+        await document.save({ sensors: list().filter(sensor => sensor.id !== id) });
+    }
+
+    return {
+        load,
+        list,
+        ids,
+        get,
+        create,
+        update,
+        remove
+    };
+}
+
+module.exports = { createSensorCatalog };
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+
+// Segment files are named after the UTC day of the readings they hold
+function segmentName(time) {
+    return `${new Date(time).toISOString().slice(0, 10)}.ndjson`;
+}
+
+// Readings are ordered by arrival time, with the id breaking ties
+function compareReadings(a, b) {
+    if (a.receivedAt !== b.receivedAt) return a.receivedAt - b.receivedAt;
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? -1 : 1;
+}
+
+// Index of the first reading in `list` that sorts after `key` (or at/after
+// it when `strict` is false)
+function indexOf(list, key, strict) {
+    let low = 0;
+    let high = list.length;
+
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        const comparison = compareReadings(list[mid], key);
+        if (strict ? comparison > 0 : comparison >= 0) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+
+    return low;
+}
+
+// Inserts a reading keeping `list` sorted; arrivals are normally in order,
+// so this is almost always a push
+function insert(list, reading) {
+    const last = list[list.length - 1];
+    if (!last || compareReadings(last, reading) <= 0) {
+        list.push(reading);
+    } else {
+        list.splice(indexOf(list, reading, false), 0, reading);
+    }
+}
+
+// Drops readings older than `cutoff` from the front of a sorted list
+function trimBefore(list, cutoff) {
+    const firstKept = list.findIndex(reading => reading.receivedAt >= cutoff);
+    list.splice(0, firstKept === -1 ? list.length : firstKept);
+}
+
+// Cursors are opaque to clients; they identify the last reading of a page
+function encodeCursor(reading) {
+    return Buffer.from(`${reading.receivedAt}:${reading.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const receivedAt = Number(decoded.slice(0, separator));
+
+    if (separator === -1 || !Number.isFinite(receivedAt)) {
+        return null;
+    }
+
+    return { receivedAt, id: decoded.slice(separator + 1) };
+}
+
+// Append-only time-series store for sensor readings.
+//
+// Every reading is appended as one JSON line to a segment file per UTC day
+// under `dir`. On startup the retained segments are replayed into memory so
+// queries stay cheap; retention is enforced by deleting whole segments once
+// they are older than `retentionDays`. Readings written before devices
+// existed are attributed to `defaultDeviceId` when loaded, and every
+// reading's `timestamp` is restated as UTC ISO-8601.
+function createSensorStore({ dir, retentionDays = 30, defaultDeviceId }) {
+    // Readings ordered oldest -> newest, overall and per device
+    let readings = [];
+    let byDevice = new Map();
+    let writeChain = Promise.resolve();
+    let pruneTimer = null;
+    // Outcome of the latest write, for health checks
+    let hasLoaded = false;
+    let lastWriteAt = null;
+    let lastWriteError = null;
+
+    function cutoffTime(now = Date.now()) {
+        return now - retentionDays * DAY_MS;
+    }
+
+    async function listSegments() {
+        const files = await fs.promises.readdir(dir);
+        return files
+            .filter(file => SEGMENT_PATTERN.test(file))
+            .sort();
+    }
+
+    async function readSegment(file) {
+        const content = await fs.promises.readFile(path.join(dir, file), 'utf8');
+        const rows = [];
+
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                rows.push(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line behind
+                console.warn(`Skipping corrupt line ${index + 1} in ${file}: ${error.message}`);
+            }
+        });
+
+        return rows;
+    }
+
+    async function load() {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await prune();
+
+        const loaded = [];
+        for (const file of await listSegments()) {
+            loaded.push(...await readSegment(file));
+        }
+
+        const cutoff = cutoffTime();
+        readings = loaded
+            .filter(reading => reading.receivedAt >= cutoff)
+            .sort(compareReadings);
+        byDevice = new Map();
+        readings.forEach(reading => {
+            if (!reading.deviceId) reading.deviceId = defaultDeviceId;
+            // Older segments hold an IST locale string; `receivedAt` is
+            // authoritative either way
+            reading.timestamp = new Date(reading.receivedAt).toISOString();
+            deviceSeries(reading.deviceId).push(reading);
+        });
+
+        // Re-check retention every hour so a long-running process does not
+        // keep expired segments around until the next restart
+        pruneTimer = setInterval(() => {
+            prune().catch(error => console.error('Error pruning sensor data:', error));
+        }, 60 * 60 * 1000);
+        pruneTimer.unref();
+        hasLoaded = true;
+
+        console.log(`Loaded ${readings.length} sensor readings from ${dir}`);
+    }
+
+    async function prune() {
+        const oldestKept = segmentName(cutoffTime());
+
+        for (const file of await listSegments()) {
+            if (file < oldestKept) {
+                await fs.promises.unlink(path.join(dir, file));
+                console.log(`Removed expired sensor data segment ${file}`);
+            }
+        }
+
+        const cutoff = cutoffTime();
+        trimBefore(readings, cutoff);
+        byDevice.forEach((series, deviceId) => {
+            trimBefore(series, cutoff);
+            if (series.length === 0) byDevice.delete(deviceId);
+        });
+    }
+
+    function deviceSeries(deviceId) {
+        if (!byDevice.has(deviceId)) {
+            byDevice.set(deviceId, []);
+        }
+        return byDevice.get(deviceId);
+    }
+
+    // Writes are chained so lines land in the file in the order they were
+    // accepted, even when requests overlap
+    function append(reading) {
+        const line = `${JSON.stringify(reading)}\n`;
+        const file = path.join(dir, segmentName(reading.receivedAt));
+
+        const write = writeChain.then(() => fs.promises.appendFile(file, line));
+        writeChain = write.catch(() => {});
+
+        return write.then(() => {
+            lastWriteAt = Date.now();
+            lastWriteError = null;
+            insert(readings, reading);
+            insert(deviceSeries(reading.deviceId), reading);
+            return reading;
+        }, error => {
+            lastWriteError = error.message;
+            throw error;
+        });
+    }
+
+    // Returns one page of readings within [from, to] (epoch ms, inclusive),
+    // optionally for a single device. `cursor` continues from the last
+    // reading of a previous page in the same order.
+    function query({ deviceId, from, to, order = 'desc', limit = 10, cursor } = {}) {
+        const list = deviceId ? byDevice.get(deviceId) || [] : readings;
+        const windowStart = from === undefined ? 0 : indexOf(list, { receivedAt: from, id: '' }, false);
+        const windowEnd = to === undefined ? list.length : indexOf(list, { receivedAt: to, id: '\uffff' }, true);
+        const after = cursor ? decodeCursor(cursor) : null;
+
+        if (cursor && !after) {
+            throw new RangeError('Invalid cursor');
+        }
+
+        let page;
+        let hasMore;
+
+        if (order === 'asc') {
+            const start = after ? Math.max(windowStart, indexOf(list, after, true)) : windowStart;
+            const end = Math.min(windowEnd, start + limit);
+            page = list.slice(start, end);
+            hasMore = end < windowEnd;
+        } else {
+            const end = after ? Math.min(windowEnd, indexOf(list, after, false)) : windowEnd;
+            const start = Math.max(windowStart, end - limit);
+            page = list.slice(start, end).reverse();
+            hasMore = start > windowStart;
+        }
+
+        return {
+            data: page,
+            total: Math.max(0, windowEnd - windowStart),
+            hasMore,
+            nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1]) : null
+        };
+    }
+
+    // The reading a device took at exactly `time`, if one is stored
+    function findAt(deviceId, time) {
+        const list = byDevice.get(deviceId) || [];
+        const reading = list[indexOf(list, { receivedAt: time, id: '' }, false)];
+        return reading && reading.receivedAt === time ? reading : null;
+    }
+
+    // Newest readings first
+    function latest(limit, deviceId) {
+        return query({ deviceId, limit }).data;
+    }
+
+    function count(deviceId) {
+        return deviceId ? (byDevice.get(deviceId) || []).length : readings.length;
+    }
+
+    // Whether the store has loaded and its directory is writable, and how
+    // the latest write went
+    async function status() {
+        let writable = true;
+        try {
+            await fs.promises.access(dir, fs.constants.W_OK);
+        } catch {
+            writable = false;
+        }
+
+        return {
+            loaded: hasLoaded,
+            writable,
+            readings: readings.length,
+            lastWriteAt: lastWriteAt === null ? null : new Date(lastWriteAt).toISOString(),
+            lastWriteError
+        };
+    }
+
+    function close() {
+        if (pruneTimer) clearInterval(pruneTimer);
+        return writeChain;
+    }
+
+    return {
+        load,
+        prune,
+        append,
+        query,
+        findAt,
+        latest,
+        count,
+        status,
+        close
+    };
+}
+
+module.exports = { createSensorStore };
@@ -0,0 +1,186 @@
+const { ValidationError } = require('./httpError');
+
+const PROFILES = ['normal', 'drift', 'spike', 'failure'];
+const MIN_INTERVAL_MS = 1000;
+
+// Typical readings of a healthy structure, and the relative noise on each.
+// Other sensors idle at a quarter of their range.
+const BASELINE = {
+    strain: 600,
+    vibration: 200,
+    displacement: 40,
+    acceleration: 100
+};
+const NOISE = 0.05;
+// Drift profile: each sensor creeps up by this fraction of its baseline
+// per minute
+const DRIFT_PER_MINUTE = 0.01;
+// Spike profile: chance per reading of a short excursion on one sensor
+const SPIKE_PROBABILITY = 0.05;
+// Failure profile: chance per tick of a dropped transmission
+const DROPOUT_PROBABILITY = 0.2;
+
+function baselineFor(sensor) {
+    return BASELINE[sensor.id] ?? sensor.min + (sensor.max - sensor.min) / 4;
+}
+
+function clamp(sensor, value) {
+    return Math.min(Math.max(value, sensor.min), sensor.max);
+}
+
+// Noise scales with the baseline, or with the range for a baseline near
+// zero
+function noisy(sensor, value) {
+    const scale = Math.max(Math.abs(value), (sensor.max - sensor.min) / 100);
+    return value + (Math.random() * 2 - 1) * NOISE * scale;
+}
+
+// Generates readings of every catalog sensor for registered devices and
+// sends them through the ingest pipeline like any real node, so storage,
+// anomaly scoring, alerts and the live feed all see them. Every simulated
+// reading is tagged `simulated: true`.
+//
+// Profiles: normal (baseline plus noise, with a slow oscillation on
+// vibration), drift (baseline creeping upwards), spike (occasional
+// excursions on one sensor) and failure (one sensor stuck at a constant
+// value and transmissions dropping out).
+function createSimulator({ ingestPipeline, deviceRegistry, sensorCatalog }) {
+    let run = null;
+
+    function nextValues(current, device, index, elapsedMs) {
+        const sensors = sensorCatalog.list();
+        const values = {};
+        const minutes = elapsedMs / 60000;
+
+        sensors.forEach(sensor => {
+            const baseline = baselineFor(sensor);
+            let value = noisy(sensor, baseline);
+            if (sensor.id === 'vibration') {
+                value += 0.2 * baseline * Math.sin(2 * Math.PI * elapsedMs / 60000);
+            }
+            if (current.profile === 'drift') {
+                value += Math.abs(baseline) * DRIFT_PER_MINUTE * minutes;
+            }
+            values[sensor.id] = value;
+        });
+
+        if (current.profile === 'spike' && Math.random() < SPIKE_PROBABILITY) {
+            const sensor = sensors[Math.floor(Math.random() * sensors.length)];
+            values[sensor.id] += (2 + Math.random() * 2) * Math.max(Math.abs(baselineFor(sensor)), (sensor.max - sensor.min) / 20);
+        }
+
+        if (current.profile === 'failure') {
+            // Each device loses a different sensor, which then reads a
+            // constant value
+            const failed = sensors[index % sensors.length].id;
+            if (device.stuckValue === null) device.stuckValue = values[failed];
+            values[failed] = device.stuckValue;
+        }
+
+        sensors.forEach(sensor => {
+            values[sensor.id] = clamp(sensor, Math.round(values[sensor.id] * 100) / 100);
+        });
+        return values;
+    }
+
+    // `current` is the run the tick belongs to, which may have been stopped
+    // or replaced by the time a slow ingest returns
+    async function tick(current) {
+        const elapsedMs = Date.now() - current.startedAt;
+
+        for (const [index, device] of current.devices.entries()) {
+            if (current.profile === 'failure' && Math.random() < DROPOUT_PROBABILITY) {
+                current.dropped += 1;
+                continue;
+            }
+
+            const values = nextValues(current, device, index, elapsedMs);
+            // Profiles generate engineering values; calibrating them again
+            // would distort what the profile is meant to show
+            const { errors, reading } = ingestPipeline.validate({ deviceId: device.id, ...values }, { skipCalibration: true });
+            if (!reading) {
+                // The device was deleted while the simulator was running
+                console.warn(`Simulator skipped ${device.id}: ${errors.map(error => error.message).join('; ')}`);
+                continue;
+            }
+
+            reading.simulated = true;
+            await ingestPipeline.ingest(reading);
+            current.generated += 1;
+        }
+    }
+
+    // Starts (or restarts) the simulator. `deviceIds` defaults to every
+    // registered device.
+    function start({ profile = 'normal', deviceIds, intervalMs = 5000 } = {}) {
+        if (!PROFILES.includes(profile)) {
+            throw ValidationError.field('profile', `must be one of ${PROFILES.join(', ')}`);
+        }
+        if (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS) {
+            throw ValidationError.field('intervalMs', `must be an integer of at least ${MIN_INTERVAL_MS}`);
+        }
+
+        const ids = deviceIds === undefined ? deviceRegistry.list().map(device => device.id) : deviceIds;
+        if (!Array.isArray(ids) || ids.length === 0) {
+            throw ValidationError.field('deviceIds', 'must list at least one device');
+        }
+        const unknown = ids.find(id => !deviceRegistry.get(id));
+        if (unknown) {
+            throw ValidationError.field('deviceIds', `unknown device ${unknown}`, 'unknown');
+        }
+
+        stop();
+        run = {
+            profile,
+            intervalMs,
+            devices: ids.map(id => ({ id, stuckValue: null })),
+            startedAt: Date.now(),
+            generated: 0,
+            dropped: 0,
+            busy: false,
+            timer: null
+        };
+
+        const current = run;
+        current.timer = setInterval(() => {
+            // Skip a tick rather than pile up behind slow storage
+            if (current.busy) return;
+            current.busy = true;
+            tick(current)
+                .catch(error => console.error('Simulator error:', error))
+                .finally(() => {
+                    current.busy = false;
+                });
+        }, intervalMs);
+        current.timer.unref();
+
+        console.log(`Simulator started: ${profile} profile for ${ids.join(', ')} every ${intervalMs} ms`);
+        return status();
+    }
+
+    function stop() {
+        if (!run) return status();
+        clearInterval(run.timer);
+        run = null;
+        console.log('Simulator stopped');
+        return status();
+    }
+
+    function status() {
+        if (!run) return { running: false, profiles: PROFILES };
+        return {
+            running: true,
+            profiles: PROFILES,
+            profile: run.profile,
+            deviceIds: run.devices.map(device => device.id),
+            intervalMs: run.intervalMs,
+            startedAt: new Date(run.startedAt).toISOString(),
+            generated: run.generated,
+            dropped: run.dropped
+        };
+    }
+
+    return { start, stop, status };
+}
+
+module.exports = { createSimulator };
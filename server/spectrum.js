@@ -0,0 +1,193 @@
+
+const MIN_WINDOW_SIZE = 16;
+const MAX_WINDOW_SIZE = 4096;
+// Upper bound on the resampled series, to keep one request from pinning
+// the CPU when a long range is asked for at a high sample rate
+const MAX_SAMPLES = 1 << 20;
+
+function isPowerOfTwo(value) {
+    return Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+}
+
+// In-place iterative radix-2 FFT; `re` and `im` have a power-of-two length
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                [curRe, curIm] = [curRe * wRe - curIm * wIm, curRe * wIm + curIm * wRe];
+            }
+        }
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Readings arrive at irregular times; the FFT needs evenly spaced samples.
+// Interpolates linearly onto a grid at the median reading interval.
+function resample(readings, sensor) {
+    const intervals = [];
+    for (let i = 1; i < readings.length; i++) {
+        const delta = readings[i].receivedAt - readings[i - 1].receivedAt;
+        if (delta > 0) intervals.push(delta);
+    }
+    if (intervals.length === 0) return null;
+
+    const step = median(intervals);
+    const first = readings[0].receivedAt;
+    const count = Math.floor((readings[readings.length - 1].receivedAt - first) / step) + 1;
+    if (count > MAX_SAMPLES) {
+        throw new RangeError(`range holds too many samples (${count}, at most ${MAX_SAMPLES}): narrow it`);
+    }
+
+    const values = new Float64Array(count);
+    let next = 1;
+    for (let i = 0; i < count; i++) {
+        const time = first + i * step;
+        while (next < readings.length - 1 && readings[next].receivedAt < time) next++;
+
+        const before = readings[next - 1];
+        const after = readings[next];
+        const span = after.receivedAt - before.receivedAt;
+        const weight = span > 0 ? Math.min(Math.max((time - before.receivedAt) / span, 0), 1) : 0;
+        values[i] = before[sensor] + (after[sensor] - before[sensor]) * weight;
+    }
+
+    return { values, start: first, step, sampleRate: 1000 / step };
+}
+
+// One-sided power spectral density of one Hann-windowed segment, with the
+// segment mean removed so the DC level does not swamp the spectrum
+function segmentPsd(values, offset, size, taper, taperPower, sampleRate) {
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+
+    let mean = 0;
+    for (let i = 0; i < size; i++) mean += values[offset + i];
+    mean /= size;
+    for (let i = 0; i < size; i++) re[i] = (values[offset + i] - mean) * taper[i];
+
+    fft(re, im);
+
+    const bins = size / 2 + 1;
+    const psd = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+        const power = (re[k] * re[k] + im[k] * im[k]) / (sampleRate * taperPower);
+        psd[k] = k === 0 || k === size / 2 ? power : 2 * power;
+    }
+    return psd;
+}
+
+// Local maxima of the spectrum, strongest first. The frequency is refined
+// by fitting a parabola through each peak bin and its neighbours, which
+// tracks small natural-frequency shifts better than the bin spacing.
+function findPeaks(psd, resolution, count) {
+    const peaks = [];
+
+    for (let k = 1; k < psd.length - 1; k++) {
+        if (psd[k] <= psd[k - 1] || psd[k] < psd[k + 1] || psd[k] === 0) continue;
+
+        const curvature = psd[k - 1] - 2 * psd[k] + psd[k + 1];
+        const shift = curvature === 0 ? 0 : 0.5 * (psd[k - 1] - psd[k + 1]) / curvature;
+        peaks.push({ frequency: (k + shift) * resolution, power: psd[k] });
+    }
+
+    return peaks.sort((a, b) => b.power - a.power).slice(0, count);
+}
+
+// Welch estimate of the spectrum of `sensor` over time-ordered readings:
+// the series is resampled evenly, cut into `windowSize` segments with 50%
+// overlap, and the segment spectra averaged. Each segment's dominant peaks
+// are kept as well, so shifts in natural frequency can be followed over
+// the range. Readings without the sensor are skipped. Returns null spectra
+// when there are fewer samples than one window.
+function computeSpectrum(readings, { sensor, unit, windowSize = 256, peakCount = 3 }) {
+    const samples = readings.filter(reading => typeof reading[sensor] === 'number');
+    const result = {
+        sensor,
+        unit: `(${unit})²/Hz`,
+        windowSize,
+        sampleRate: null,
+        resolution: null,
+        segments: 0,
+        spectrum: [],
+        peaks: [],
+        track: []
+    };
+
+    const series = samples.length > 1 ? resample(samples, sensor) : null;
+    if (!series || series.values.length < windowSize) return result;
+
+    const { values, start, step, sampleRate } = series;
+    const taper = new Float64Array(windowSize);
+    let taperPower = 0;
+    for (let i = 0; i < windowSize; i++) {
+        taper[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (windowSize - 1)));
+        taperPower += taper[i] * taper[i];
+    }
+
+    const resolution = sampleRate / windowSize;
+    const hop = windowSize / 2;
+    const average = new Float64Array(windowSize / 2 + 1);
+
+    for (let offset = 0; offset + windowSize <= values.length; offset += hop) {
+        const psd = segmentPsd(values, offset, windowSize, taper, taperPower, sampleRate);
+        psd.forEach((power, k) => {
+            average[k] += power;
+        });
+
+        result.segments += 1;
+        result.track.push({
+            start: new Date(start + offset * step).toISOString(),
+            end: new Date(start + (offset + windowSize) * step).toISOString(),
+            peaks: findPeaks(psd, resolution, peakCount)
+        });
+    }
+
+    average.forEach((power, k) => {
+        average[k] = power / result.segments;
+    });
+
+    result.sampleRate = sampleRate;
+    result.resolution = resolution;
+    result.spectrum = Array.from(average, (power, k) => ({ frequency: k * resolution, power }));
+    result.peaks = findPeaks(average, resolution, peakCount);
+    return result;
+}
+
+module.exports = {
+    computeSpectrum,
+    resample,
+    isPowerOfTwo,
+    MIN_WINDOW_SIZE,
+    MAX_WINDOW_SIZE
+};
@@ -0,0 +1,71 @@
+const { ValidationError } = require('./httpError');
+
+// Readings and events are stored in UTC (epoch milliseconds and ISO-8601);
+// time zones only decide how reports and the dashboard show them. Zones are
+// IANA names such as Europe/London or Asia/Kolkata.
+function isTimezone(name) {
+    if (typeof name !== 'string' || !name) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: name });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Accepts an IANA zone, or null to clear a setting
+function validateTimezone(field, value) {
+    if (value !== null && !isTimezone(value)) {
+        throw ValidationError.field(field, 'must be an IANA time zone such as Europe/London, or null');
+    }
+    return value;
+}
+
+// e.g. 2026-10-18 14:05:09 GMT+5:30
+function formatDateTime(time, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'short'
+    }).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second} ${parts.timeZoneName}`;
+}
+
+// Wall-clock fields of `time` in `timeZone`, e.g. { year: 2026, month: 10,
+// day: 18, hour: 14, minute: 5 }
+function zonedParts(time, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `time`
+function offsetAt(time, timeZone) {
+    const { year, month, day, hour, minute } = zonedParts(time, timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute) - Math.floor(time / 60000) * 60000;
+}
+
+// Epoch milliseconds of a wall-clock time in `timeZone`. A time skipped by
+// a daylight-saving change resolves to the same instant an hour later.
+function zonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const local = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = local - offsetAt(local, timeZone);
+    return local - offsetAt(guess, timeZone);
+}
+
+module.exports = { isTimezone, validateTimezone, formatDateTime, zonedParts, zonedTime };
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createAlertEngine } = require('../server/alertEngine');
+const { tempDir, quietConsole } = require('./helpers');
+
+async function createEngine(t) {
+    quietConsole(t);
+    const dir = await tempDir(t, 'alerts');
+
+    const alertEngine = createAlertEngine({
+        rulesFile: path.join(dir, 'rules.json'),
+        eventsFile: path.join(dir, 'events.json'),
+        sensorCatalog: { ids: () => ['strain'] }
+    });
+    // The default rules include strain above 1000
+    await alertEngine.load();
+
+    return alertEngine;
+}
+
+function reading(receivedAt, strain) {
+    return { id: `reading-${receivedAt}`, deviceId: 'node-1', receivedAt, strain };
+}
+
+test('backfilled readings open and clear alerts at the time of the data', async t => {
+    const alertEngine = await createEngine(t);
+    const start = Date.parse('2026-10-01T08:00:00Z');
+
+    const { opened: [event] } = await alertEngine.evaluate(reading(start, 1500));
+    const { cleared: [clearedEvent] } = await alertEngine.evaluate(reading(start + 60000, 50));
+
+    assert.strictEqual(event.startedAt, '2026-10-01T08:00:00.000Z');
+    assert.strictEqual(clearedEvent.clearedAt, '2026-10-01T08:01:00.000Z');
+});
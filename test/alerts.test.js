@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createAlertsRouter } = require('../server/routes/alerts');
+
+// Serves the alerts router on a free port with `auth` as the signed-in
+// session, recording what reaches the alert engine
+async function serve(t, auth) {
+    const calls = [];
+    const alertEngine = {
+        listEvents: options => {
+            calls.push(options);
+            return [];
+        },
+        acknowledge: async (id, by) => {
+            calls.push({ id, by });
+            return { id, acknowledgedBy: by };
+        }
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.auth = auth;
+        next();
+    });
+    app.use('/api/alerts', createAlertsRouter({ alertEngine, requireRole: () => (req, res, next) => next() }));
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, () => resolve(listener));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return { calls, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('acknowledgements are recorded against the signed-in user', async t => {
+    const { calls, url } = await serve(t, { type: 'user', user: { username: 'operator1', role: 'operator' } });
+
+    const response = await fetch(`${url}/api/alerts/abc/acknowledge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ by: 'someone-else' })
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(calls, [{ id: 'abc', by: 'operator1' }]);
+});
+
+test('an acknowledgement without a body still records the user', async t => {
+    const { calls, url } = await serve(t, { type: 'user', user: { username: 'operator1', role: 'operator' } });
+
+    await fetch(`${url}/api/alerts/abc/acknowledge`, { method: 'POST' });
+
+    assert.deepStrictEqual(calls, [{ id: 'abc', by: 'operator1' }]);
+});
+
+test('a bad ?limit= is rejected rather than guessed at', async t => {
+    const { calls, url } = await serve(t, { type: 'user', user: { username: 'viewer1', role: 'viewer' } });
+
+    for (const limit of ['-5', 'abc']) {
+        const response = await fetch(`${url}/api/alerts?limit=${limit}`);
+        const body = await response.json();
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(body.errors[0].field, 'limit');
+    }
+    await fetch(`${url}/api/alerts?limit=5`);
+    assert.deepStrictEqual(calls, [{ status: undefined, deviceId: undefined, limit: 5 }]);
+});
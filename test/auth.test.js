@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createAuthService } = require('../server/auth');
+const { tempDir, quietConsole } = require('./helpers');
+
+async function createAuth(t) {
+    quietConsole(t);
+    const dir = await tempDir(t, 'auth');
+
+    const authService = createAuthService({
+        usersFile: path.join(dir, 'users.json'),
+        keysFile: path.join(dir, 'keys.json'),
+        deviceRegistry: { get: () => null }
+    });
+    await authService.load({ adminPassword: 'secret123' });
+    t.after(() => authService.close());
+    const [admin] = authService.listUsers();
+
+    return { authService, admin };
+}
+
+test('the last admin cannot be demoted', async t => {
+    const { authService, admin } = await createAuth(t);
+
+    await assert.rejects(authService.updateUser(admin.id, { role: 'viewer' }), { status: 409 });
+    assert.strictEqual(authService.listUsers()[0].role, 'admin');
+});
+
+test('an admin can be demoted while another admin remains', async t => {
+    const { authService, admin } = await createAuth(t);
+    await authService.createUser({ username: 'second', password: 'secret123', role: 'admin' });
+
+    const updated = await authService.updateUser(admin.id, { role: 'operator' });
+
+    assert.strictEqual(updated.role, 'operator');
+});
+
+test('the last admin cannot be deleted', async t => {
+    const { authService, admin } = await createAuth(t);
+
+    await assert.rejects(authService.removeUser(admin.id), { status: 409 });
+    assert.strictEqual(authService.listUsers().length, 1);
+});
+
+test('the last admin can still change their password', async t => {
+    const { authService, admin } = await createAuth(t);
+
+    await authService.updateUser(admin.id, { password: 'another123', role: 'admin' });
+
+    assert.ok(authService.login('admin', 'another123').token);
+});
+
+test('logins are refused after repeated failures from one address', async t => {
+    const { authService } = await createAuth(t);
+
+    for (let i = 0; i < 5; i++) {
+        assert.throws(() => authService.login('admin', 'wrong-password', { ip: '10.0.0.1' }), { status: 401 });
+    }
+
+    assert.throws(() => authService.login('admin', 'secret123', { ip: '10.0.0.1' }), { status: 429 });
+    assert.ok(authService.login('admin', 'secret123', { ip: '10.0.0.2' }).token);
+});
+
+test('the login lockout lifts after its window', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T00:00:00Z') });
+    const { authService } = await createAuth(t);
+
+    for (let i = 0; i < 5; i++) {
+        assert.throws(() => authService.login('admin', 'wrong-password', { ip: '10.0.0.1' }), { status: 401 });
+    }
+    t.mock.timers.tick(15 * 60 * 1000);
+
+    assert.ok(authService.login('admin', 'secret123', { ip: '10.0.0.1' }).token);
+});
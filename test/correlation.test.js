@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeCorrelation, MAX_LAG_STEPS, MAX_SENSORS } = require('../server/correlation');
+
+// `count` readings `intervalMs` apart in which vibration follows strain by
+// ten readings
+function readings(count, intervalMs) {
+    const start = Date.UTC(2026, 0, 1);
+    return Array.from({ length: count }, (_, index) => ({
+        receivedAt: start + index * intervalMs,
+        strain: Math.sin(index / 50),
+        vibration: Math.sin((index - 10) / 50)
+    }));
+}
+
+test('a week at a 5 s interval is averaged down instead of refused', async () => {
+    const { pairs: [pair] } = await computeCorrelation(readings(7 * 24 * 720, 5000), {
+        sensors: ['strain', 'vibration'],
+        maxLagMs: 10 * 60 * 1000
+    });
+
+    assert.ok(pair.sampleInterval > 5);
+    assert.ok(pair.r > 0.9);
+    assert.ok(Math.abs(pair.peak.lagSeconds - 50) < 2 * pair.sampleInterval);
+});
+
+test('the lag searched is reported when the step cap cuts it short', async () => {
+    const { pairs: [pair] } = await computeCorrelation(readings(1000, 5000), {
+        sensors: ['strain', 'vibration'],
+        maxLagMs: 60 * 60 * 1000
+    });
+
+    assert.strictEqual(pair.maxLagSeconds, MAX_LAG_STEPS * 5);
+    assert.strictEqual(pair.lags.length, 2 * MAX_LAG_STEPS + 1);
+    assert.strictEqual(pair.peak.lagSeconds, 50);
+});
+
+test('too many sensors are refused', async () => {
+    const sensors = Array.from({ length: MAX_SENSORS + 1 }, (_, index) => `sensor${index}`);
+
+    await assert.rejects(computeCorrelation(readings(10, 1000), { sensors }), RangeError);
+});
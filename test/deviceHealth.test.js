@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDeviceHealth } = require('../server/deviceHealth');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Device health over an empty store, so only the recorded faults matter
+function createHealth() {
+    const device = { id: 'pier-1', name: 'Pier 1', structure: 'Bridge', expectedIntervalSeconds: 60 };
+    const deviceHealth = createDeviceHealth({
+        sensorCatalog: { ids: () => ['strain'] },
+        deviceRegistry: { list: () => [device] },
+        sensorStore: {
+            query: () => ({ data: [] }),
+            latest: () => [],
+            count: () => 0
+        }
+    });
+    return { deviceHealth, device };
+}
+
+test('out-of-range faults are only counted within the status window', t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T00:00:00Z') });
+    const { deviceHealth, device } = createHealth();
+
+    deviceHealth.recordOutOfRange(device.id, [{ field: 'strain' }]);
+    t.mock.timers.tick(2 * HOUR_MS);
+    deviceHealth.recordOutOfRange(device.id, [{ field: 'strain' }]);
+
+    const lastHour = deviceHealth.deviceStatus(device, { windowHours: 1 }).outOfRange;
+    assert.strictEqual(lastHour.count, 1);
+    assert.deepStrictEqual(lastHour.sensors, { strain: 1 });
+    assert.strictEqual(deviceHealth.deviceStatus(device, { windowHours: 24 }).outOfRange.count, 2);
+
+    t.mock.timers.tick(25 * HOUR_MS);
+    const status = deviceHealth.deviceStatus(device, { windowHours: 24 });
+    assert.deepStrictEqual(status.outOfRange, { count: 0, lastAt: null, sensors: {} });
+    assert.ok(!status.issues.some(issue => /out-of-range/.test(issue)));
+});
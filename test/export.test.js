@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { sendExport } = require('../server/export');
+
+const SENSORS = [{ id: 'strain', name: 'Strain', unit: 'μɛ' }];
+
+// Collects what an export writes, as a response that never pushes back
+function captureResponse() {
+    const chunks = [];
+    return {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        write(chunk) {
+            chunks.push(chunk);
+            return true;
+        },
+        end(chunk) {
+            if (chunk) chunks.push(chunk);
+        },
+        body: () => chunks.join('')
+    };
+}
+
+function readings(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: `reading-${index}`,
+        deviceId: 'bridge-north-span-sensor-node',
+        timestamp: new Date(Date.UTC(2026, 0, 1) + index * 1000).toISOString(),
+        strain: index
+    }));
+}
+
+test('CSV fields with a comma, quote, carriage return or newline are quoted', async () => {
+    const res = captureResponse();
+    const names = ['a,b', 'say "hi"', 'line\rbreak', 'line\nbreak'];
+
+    await sendExport(res, 'csv', names.map(deviceId => ({ deviceId, strain: 1 })), {}, 'export', SENSORS);
+
+    const rows = res.body().split('\n');
+    assert.ok(rows[1].includes(',"a,b",'));
+    assert.ok(rows[2].includes(',"say ""hi""",'));
+    assert.ok(rows[3].includes(',"line\rbreak",'));
+    assert.ok(res.body().includes(',"line\nbreak",'));
+});
+
+test('JSON exports carry a summary and every reading', async () => {
+    const res = captureResponse();
+
+    await sendExport(res, 'json', readings(3), { deviceId: 'a' }, 'export', SENSORS);
+
+    const body = JSON.parse(res.body());
+    assert.strictEqual(body.data.length, 3);
+    assert.deepStrictEqual(body.meta.summary[0], { sensor: 'strain', unit: 'μɛ', count: 3, min: 0, max: 2, mean: 1 });
+});
+
+test('the download filename keeps only header-safe characters', async () => {
+    const res = captureResponse();
+
+    await sendExport(res, 'csv', [], {}, 'sensor_data_pier "1"\r\nX-Injected: 1', SENSORS);
+
+    assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="sensor_data_pier1X-Injected1.csv"');
+});
+
+// The client reads one chunk of a large export and hangs up; the export
+// must finish instead of waiting for a drain that never comes
+for (const format of ['csv', 'json']) {
+    test(`a ${format} export stops when the client disconnects`, async t => {
+        let exported;
+        const server = http.createServer((req, res) => {
+            exported = sendExport(res, format, readings(100000), {}, 'export', SENSORS);
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        t.after(() => new Promise(resolve => server.close(resolve)));
+
+        await new Promise((resolve, reject) => {
+            const req = http.get(`http://127.0.0.1:${server.address().port}/`, res => {
+                res.once('data', () => {
+                    req.destroy();
+                    resolve();
+                });
+            });
+            req.on('error', reject);
+        });
+
+        const timeout = new Promise((resolve, reject) => {
+            setTimeout(() => reject(new Error('export still waiting after the client left')), 2000).unref();
+        });
+        await Promise.race([exported, timeout]);
+    });
+}
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh directory under the system temp dir, removed when `t` ends
+async function tempDir(t, name) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `shm-${name}-`));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Silences the server's console logging for the rest of `t`; returns the
+// console.error mock so a test can check what was reported
+function quietConsole(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    return t.mock.method(console, 'error', () => {});
+}
+
+module.exports = { tempDir, quietConsole };
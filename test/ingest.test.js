@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createSensorStore } = require('../server/sensorStore');
+const { createSensorCatalog } = require('../server/sensorCatalog');
+const { createDeviceRegistry, DEFAULT_DEVICE_ID } = require('../server/deviceRegistry');
+const { createIngestPipeline } = require('../server/ingest');
+const { tempDir, quietConsole } = require('./helpers');
+
+// A pipeline over real storage in a temporary directory, with alerting,
+// notifications and live push stubbed out
+async function createPipeline(t) {
+    quietConsole(t);
+    const dir = await tempDir(t, 'ingest');
+
+    const sensorCatalog = createSensorCatalog({ file: path.join(dir, 'sensors.json') });
+    const deviceRegistry = createDeviceRegistry({
+        file: path.join(dir, 'devices.json'),
+        structuresFile: path.join(dir, 'structures.json'),
+        sensorCatalog
+    });
+    const sensorStore = createSensorStore({ dir: path.join(dir, 'readings'), defaultDeviceId: DEFAULT_DEVICE_ID });
+    await sensorCatalog.load();
+    await deviceRegistry.load();
+    await sensorStore.load();
+    t.after(() => sensorStore.close());
+
+    const pipeline = createIngestPipeline({
+        sensorCatalog,
+        deviceRegistry,
+        sensorStore,
+        alertEngine: { evaluate: async () => ({ opened: [], cleared: [] }), getRule: () => null },
+        anomalyDetector: { score: () => null },
+        notifier: { notify: () => {} },
+        deviceHealth: { recordOutOfRange: () => {} },
+        liveFeed: { publish: () => {} },
+        metrics: { recordIngest: () => {}, recordRejected: () => {} },
+        retentionDays: 30
+    });
+
+    return { pipeline, sensorStore, deviceRegistry };
+}
+
+function batch(count) {
+    const start = Date.now() - 60 * 1000;
+    return Array.from({ length: count }, (_, index) => ({
+        timestamp: start + index * 1000,
+        strain: 100,
+        vibration: 1,
+        displacement: 2,
+        acceleration: 0.1
+    }));
+}
+
+test('a retried batch is reported as duplicates and stored once', async t => {
+    const { pipeline, sensorStore } = await createPipeline(t);
+    const items = batch(2);
+
+    await pipeline.ingestBatch(items);
+    const results = await pipeline.ingestBatch(items);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['duplicate', 'duplicate']);
+    assert.strictEqual(sensorStore.count(), 2);
+});
+
+test('overlapping uploads of the same batch store each reading once', async t => {
+    const { pipeline, sensorStore } = await createPipeline(t);
+    const items = batch(2);
+
+    const uploads = await Promise.all([1, 2, 3].map(() => pipeline.ingestBatch(items)));
+
+    const statuses = uploads.flat().map(result => result.status);
+    assert.strictEqual(statuses.filter(status => status === 'stored').length, 2);
+    assert.strictEqual(statuses.filter(status => status === 'duplicate').length, 4);
+    assert.strictEqual(sensorStore.count(), 2);
+});
+
+test('duplicates within one batch are stored once', async t => {
+    const { pipeline, sensorStore } = await createPipeline(t);
+    const [item] = batch(1);
+
+    const results = await pipeline.ingestBatch([item, { ...item }]);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['stored', 'duplicate']);
+    assert.strictEqual(results[1].id, results[0].id);
+    assert.strictEqual(sensorStore.count(), 1);
+});
+
+test('invalid readings are reported per item and not stored', async t => {
+    const { pipeline, sensorStore } = await createPipeline(t);
+    const [valid] = batch(1);
+
+    const results = await pipeline.ingestBatch([{ ...valid, strain: 'high' }, valid]);
+
+    assert.strictEqual(results[0].status, 'invalid');
+    assert.deepStrictEqual(results[0].errors.map(error => error.field), ['strain']);
+    assert.strictEqual(results[1].status, 'stored');
+    assert.strictEqual(sensorStore.count(), 1);
+});
+
+test('calibration applies to device values but not to already calibrated ones', async t => {
+    const { pipeline, deviceRegistry } = await createPipeline(t);
+    await deviceRegistry.setCalibration(DEFAULT_DEVICE_ID, { strain: { gain: 2 } });
+    const [item] = batch(1);
+
+    const device = pipeline.validate(item);
+    const simulated = pipeline.validate(item, { skipCalibration: true });
+
+    assert.strictEqual(device.reading.strain, 200);
+    assert.strictEqual(device.reading.raw.strain, 100);
+    assert.strictEqual(simulated.reading.strain, 100);
+    assert.strictEqual(simulated.reading.raw, undefined);
+});
+
+test('a reading that fails to store is reported and the batch carries on', async t => {
+    const { pipeline, sensorStore } = await createPipeline(t);
+    const items = batch(3);
+    const append = sensorStore.append;
+    sensorStore.append = reading => (reading.receivedAt === items[1].timestamp
+        ? Promise.reject(new Error('disk full'))
+        : append(reading));
+
+    const results = await pipeline.ingestBatch(items);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['stored', 'failed', 'stored']);
+    assert.strictEqual(results[1].error, 'disk full');
+    assert.strictEqual(sensorStore.count(), 2);
+
+    sensorStore.append = append;
+    const retry = await pipeline.ingestBatch(items);
+    assert.deepStrictEqual(retry.map(result => result.status), ['duplicate', 'stored', 'duplicate']);
+});
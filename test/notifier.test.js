@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { createNotifier } = require('../server/notifier');
+const { tempDir, quietConsole } = require('./helpers');
+
+// A notifier with one webhook channel pointing at a local server that
+// accepts everything
+async function createWebhookNotifier(t, options) {
+    quietConsole(t);
+    const dir = await tempDir(t, 'notify');
+
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => res.end());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const notifier = createNotifier({ file: path.join(dir, 'notifications.json'), ...options });
+    await notifier.load();
+    const channel = await notifier.createChannel({
+        name: 'Ops webhook',
+        type: 'webhook',
+        url: `http://127.0.0.1:${server.address().port}/hook`
+    });
+
+    return { notifier, rule: { channels: [channel.id] } };
+}
+
+function alert(deviceId) {
+    return {
+        id: `alert-${deviceId}`,
+        ruleId: 'rule-1',
+        ruleName: 'Strain high',
+        deviceId,
+        sensor: 'strain',
+        type: 'above',
+        threshold: 1000,
+        severity: 'warning',
+        value: 1500,
+        startedAt: new Date().toISOString()
+    };
+}
+
+async function status(notifier, kind, deviceId, rule) {
+    const [delivery] = await notifier.notify(kind, alert(deviceId), rule);
+    return delivery.status;
+}
+
+test('repeats are suppressed and sends rate-limited only within their windows', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-18T08:00:00Z') });
+    const { notifier, rule } = await createWebhookNotifier(t, { dedupeMinutes: 15, rateLimitPerHour: 2 });
+
+    assert.strictEqual(await status(notifier, 'opened', 'node-1', rule), 'sent');
+    assert.strictEqual(await status(notifier, 'opened', 'node-1', rule), 'suppressed');
+    assert.strictEqual(await status(notifier, 'opened', 'node-2', rule), 'sent');
+    assert.strictEqual(await status(notifier, 'opened', 'node-3', rule), 'rate-limited');
+
+    t.mock.timers.tick(16 * 60 * 1000);
+    assert.strictEqual(await status(notifier, 'opened', 'node-1', rule), 'rate-limited');
+
+    t.mock.timers.tick(45 * 60 * 1000);
+    assert.strictEqual(await status(notifier, 'opened', 'node-3', rule), 'sent');
+    assert.strictEqual(await status(notifier, 'opened', 'node-1', rule), 'sent');
+    assert.strictEqual(await status(notifier, 'opened', 'node-2', rule), 'rate-limited');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTimeParam, parseTimeRange, parseLimit } = require('../server/queryParams');
+
+test('times parse from epoch milliseconds or ISO-8601', () => {
+    assert.strictEqual(parseTimeParam('1760745600000'), 1760745600000);
+    assert.strictEqual(parseTimeParam('2026-10-18T00:00:00Z'), Date.parse('2026-10-18T00:00:00Z'));
+    assert.strictEqual(parseTimeParam(''), undefined);
+    assert.ok(Number.isNaN(parseTimeParam('yesterday')));
+});
+
+test('a range reports unparseable bounds and a backwards window', () => {
+    assert.deepStrictEqual(parseTimeRange({}).errors, []);
+    assert.deepStrictEqual(parseTimeRange({ from: 'x', to: 'y' }).errors.map(error => error.field), ['from', 'to']);
+    assert.deepStrictEqual(parseTimeRange({ from: '2000', to: '1000' }).errors, [
+        { field: 'from', code: 'range', message: 'must not be after to' }
+    ]);
+});
+
+test('a limit must be a positive integer', () => {
+    assert.deepStrictEqual(parseLimit({}, 50), { limit: 50, errors: [] });
+    assert.deepStrictEqual(parseLimit({ limit: '20' }, 50), { limit: 20, errors: [] });
+    ['-5', '0', '1e9', 'abc', '2.5', ''].forEach(limit => {
+        assert.deepStrictEqual(parseLimit({ limit }, 50).errors.map(error => error.field), ['limit'], limit);
+    });
+});
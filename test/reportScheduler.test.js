@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { createReportScheduler } = require('../server/reportScheduler');
+const { reportFileName } = require('../server/report');
+const { zonedParts } = require('../server/timezones');
+const { tempDir, quietConsole } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createScheduler(t, { period = 'daily', hour = 6, timezones }) {
+    quietConsole(t);
+    const scheduler = createReportScheduler({
+        reportGenerator: { build: () => ({}) },
+        deviceRegistry: {
+            structures: () => Object.keys(timezones),
+            structureTimezone: structure => timezones[structure]
+        },
+        dir: os.tmpdir(),
+        period,
+        formats: ['html'],
+        hour
+    });
+    t.after(() => scheduler.stop());
+    return scheduler;
+}
+
+test('daily reports are scheduled at the hour in each structure\'s time zone', t => {
+    const scheduler = createScheduler(t, { timezones: { Pune: 'Asia/Kolkata', Leeds: 'Europe/London' } });
+    scheduler.start();
+
+    const { nextRunAt, structures } = scheduler.status();
+    structures.forEach(({ timezone, nextRunAt: at }) => {
+        const time = Date.parse(at);
+        assert.ok(time > Date.now() && time <= Date.now() + DAY_MS);
+        assert.deepStrictEqual([zonedParts(time, timezone).hour, zonedParts(time, timezone).minute], [6, 0]);
+    });
+    assert.strictEqual(nextRunAt, structures.map(item => item.nextRunAt).sort()[0]);
+});
+
+test('weekly reports run on Monday in the structure\'s time zone', t => {
+    const scheduler = createScheduler(t, { period: 'weekly', hour: 23, timezones: { Tokyo: 'Asia/Tokyo' } });
+    scheduler.start();
+
+    const [{ nextRunAt }] = scheduler.status().structures;
+    const { year, month, day, hour } = zonedParts(Date.parse(nextRunAt), 'Asia/Tokyo');
+    assert.strictEqual(new Date(Date.UTC(year, month - 1, day)).getUTCDay(), 1);
+    assert.strictEqual(hour, 23);
+});
+
+test('an hour outside 0-23 is refused', t => {
+    ['abc', NaN, -1, 24, 6.5].forEach(hour => {
+        assert.throws(() => createScheduler(t, { hour, timezones: {} }), RangeError);
+    });
+});
+
+test('report files are dated in the structure\'s time zone', () => {
+    const to = Date.parse('2026-10-18T20:00:00Z');
+
+    assert.strictEqual(reportFileName('North Bridge', to, 'Asia/Kolkata'), 'shm-report_north-bridge_2026-10-19');
+    assert.strictEqual(reportFileName('North Bridge', to, 'America/New_York'), 'shm-report_north-bridge_2026-10-18');
+});
+
+test('a structure runs at the hour of the time zone it has when due', async t => {
+    const timezones = { Pune: 'Asia/Kolkata' };
+    const dir = await tempDir(t, 'reports');
+    const errors = quietConsole(t);
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-18T12:00:00Z') });
+
+    const built = [];
+    const scheduler = createReportScheduler({
+        reportGenerator: {
+            build: ({ structure, to }) => {
+                built.push({ structure, to: new Date(to).toISOString() });
+                throw new Error('not rendered in this test');
+            }
+        },
+        deviceRegistry: {
+            structures: () => Object.keys(timezones),
+            structureTimezone: structure => timezones[structure]
+        },
+        dir,
+        period: 'daily',
+        formats: ['html'],
+        hour: 6
+    });
+    t.after(() => scheduler.stop());
+    scheduler.start();
+
+    // Moved from 06:00 IST (00:30Z) to 06:00 in New York (10:00Z)
+    timezones.Pune = 'America/New_York';
+    for (let minutes = 0; minutes < 24 * 60; minutes += 5) {
+        t.mock.timers.tick(5 * 60 * 1000);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    // Let the run's file system work finish
+    for (let i = 0; i < 1000 && built.length === 0; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    assert.deepStrictEqual(built, [{ structure: 'Pune', to: '2026-10-19T10:00:00.000Z' }]);
+    assert.ok(errors.mock.calls.some(call => /daily report for Pune/.test(call.arguments[0])));
+});